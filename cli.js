@@ -0,0 +1,1099 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const {
+  ArenaDownloader,
+  ProfileDownloader,
+  BatchDownloader,
+  Watcher,
+  ArchiveVerifier,
+  RateLimiter,
+  renderGallery
+} = require('./index');
+const { ISSUE_TYPES } = require('./lib/verify');
+const { CONCURRENT_DOWNLOADS, DEFAULT_TIMEOUT, DEFAULT_RETRIES } = require('./lib/constants');
+const { EXPORT_FORMATS } = require('./lib/export');
+const { DEFAULT_TEMPLATE, LAYOUTS, buildTemplate } = require('./lib/filenames');
+const { ContentStore, LINK_MODES } = require('./lib/store');
+const { IMAGE_SIZES, CONVERT_FORMATS, loadSharp } = require('./lib/convert');
+const { ARCHIVE_FORMATS } = require('./lib/link-archive');
+const { PACKAGE_FORMATS } = require('./lib/package');
+
+// Load config from ~/.arena-dlrc
+function loadConfig() {
+  const configPath = path.join(process.env.HOME, '.arena-dlrc');
+  try {
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      // Expand ~ in paths
+      if (config.outputDir) {
+        config.outputDir = expandHome(config.outputDir);
+      }
+      return config;
+    }
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Warning: Could not load config from ${configPath}`));
+  }
+  return {};
+}
+
+// Set from --json, --quiet and --verbose before any command runs
+const output = {
+  json: false,
+  // 0 with --quiet, 1 normally, 2 with --verbose
+  level: 1,
+  // \r status lines only make sense on a terminal
+  progress: Boolean(process.stdout.isTTY)
+};
+
+// Human-readable output; --json replaces all of it with events on stdout
+const log = {
+  info: (...args) => { if (!output.json && output.level >= 1) console.log(...args); },
+  detail: (...args) => { if (!output.json && output.level >= 2) console.log(...args); },
+  // Summaries, warnings and errors are still shown with --quiet
+  summary: (...args) => { if (!output.json) console.log(...args); },
+  warn: (...args) => { if (!output.json) console.warn(...args); },
+  error: (...args) => { if (!output.json) console.error(...args); }
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+function printChannelSummary({ dryRun, stats, logPath }) {
+  log.summary(chalk.green(`\n✅ ${dryRun ? 'Dry-run' : 'Download'} complete!`));
+  log.summary(chalk.gray('─'.repeat(50)));
+  log.summary(chalk.white(`Total items:       ${stats.total}`));
+  log.summary(chalk.green(`Downloaded:        ${stats.downloaded}`));
+  if (stats.updated > 0) {
+    log.summary(chalk.green(`  Changed:         ${stats.updated}`));
+  }
+  log.summary(chalk.yellow(`Already saved:     ${stats.skipped}`));
+  if (stats.renamed > 0) {
+    log.summary(chalk.yellow(`  Renamed:         ${stats.renamed}`));
+  }
+  if (stats.deduplicated > 0) {
+    log.summary(chalk.cyan(`Linked from store: ${stats.deduplicated} (${formatBytes(stats.bytesSaved)} saved)`));
+  }
+  if (stats.archived > 0) {
+    log.summary(chalk.cyan(`Pages archived:    ${stats.archived}`));
+  }
+  log.summary(chalk.gray(`Filtered out:      ${stats.filtered}`));
+  if (stats.removed > 0) {
+    log.summary(chalk.gray(`Removed on Are.na: ${stats.removed}`));
+  }
+  log.summary(chalk.red(`Failed:            ${stats.failed}`));
+  log.summary(chalk.gray('─'.repeat(50)));
+
+  if (stats.failed > 0) {
+    log.summary(chalk.yellow('\n⚠️  Some downloads failed. Run the same command again to retry failed downloads.'));
+    log.summary(chalk.gray(`Failed downloads logged to: ${logPath}`));
+  }
+}
+
+// Print one row per channel followed by totals across all of them
+function printCombinedSummary({ channels, stats, failedChannels }) {
+  log.summary(chalk.green(`\n📚 Combined summary (${channels.length} channel${channels.length !== 1 ? 's' : ''})`));
+  log.summary(chalk.gray('─'.repeat(50)));
+  for (const channel of channels) {
+    const indent = '  '.repeat(channel.depth);
+    log.summary(
+      chalk.white(`${indent}${channel.slug}  `) +
+      chalk.green(`✓ ${channel.stats.downloaded} `) +
+      chalk.yellow(`⊘ ${channel.stats.skipped} `) +
+      chalk.red(`✗ ${channel.stats.failed}`)
+    );
+  }
+  log.summary(chalk.gray('─'.repeat(50)));
+  log.summary(chalk.white(`Total items:       ${stats.total || 0}`));
+  log.summary(chalk.green(`Downloaded:        ${stats.downloaded || 0}`));
+  log.summary(chalk.yellow(`Already saved:     ${stats.skipped || 0}`));
+  if (stats.deduplicated > 0) {
+    log.summary(chalk.cyan(`Linked from store: ${stats.deduplicated} (${formatBytes(stats.bytesSaved)} saved)`));
+  }
+  if (stats.archived > 0) {
+    log.summary(chalk.cyan(`Pages archived:    ${stats.archived}`));
+  }
+  log.summary(chalk.gray(`Filtered out:      ${stats.filtered || 0}`));
+  log.summary(chalk.red(`Failed:            ${stats.failed || 0}`));
+  if (failedChannels.length > 0) {
+    log.summary(chalk.red(`Failed channels:   ${failedChannels.map(c => c.slug).join(', ')}`));
+  }
+  log.summary(chalk.gray('─'.repeat(50)));
+}
+
+// Print downloader events as human-readable progress
+function attachReporter(emitter) {
+  // Whether a \r status line is waiting to be finished
+  let openLine = false;
+  const endLine = () => {
+    if (openLine) process.stdout.write('\n');
+    openLine = false;
+  };
+  const statusLine = (text) => {
+    if (!output.progress || output.level < 1) return;
+    process.stdout.write(text + '\r');
+    openLine = true;
+  };
+
+  emitter.on('channel:start', ({ slug }) => {
+    endLine();
+    log.info(chalk.blue(`\n🔍 Looking up Are.na channel: "${slug}"`));
+  });
+
+  emitter.on('channel', ({ title, length, dir, dryRun }) => {
+    log.info(chalk.blue(`📂 Channel name: "${title}"`));
+    log.info(chalk.blue(`📊 Total items in channel: ${length}`));
+    log.info(chalk.gray(`💾 ${dryRun ? 'Would save' : 'Saving'} to: ${dir}\n`));
+  });
+
+  emitter.on('page', ({ kind, page, totalPages }) => {
+    if (!kind && page === 1) {
+      log.info(chalk.blue(`📥 Loading channel content (${totalPages} page${totalPages > 1 ? 's' : ''})...`));
+    }
+    if (output.progress) {
+      statusLine(chalk.gray(`  Reading page ${page} of ${totalPages}...`));
+    } else {
+      log.detail(chalk.gray(`  Reading page ${page} of ${totalPages}...`));
+    }
+  });
+
+  emitter.on('batch', ({ channels, parallel }) => {
+    log.info(chalk.blue(`\n📋 Batch of ${channels.length} channel${channels.length !== 1 ? 's' : ''}${parallel > 1 ? `, ${parallel} at a time` : ''}`));
+  });
+
+  emitter.on('profile', ({ channels }) => {
+    endLine();
+    log.info(chalk.blue(`📚 Found ${channels.length} channel${channels.length !== 1 ? 's' : ''}`));
+  });
+
+  emitter.on('blocks', ({ matched, filters, dryRun }) => {
+    endLine();
+    if (filters.length > 0) {
+      log.info(chalk.gray(`🔎 Filters: ${filters.join(', ')}`));
+    }
+    log.info(chalk.blue(`🖼️  Found ${matched} matching item${matched !== 1 ? 's' : ''} ${dryRun ? 'to preview' : 'to download'}\n`));
+    log.info(chalk.blue(`${dryRun ? '🔍' : '⬇️'}  ${dryRun ? 'Previewing' : 'Starting'} download...`));
+  });
+
+  emitter.on('progress', ({ completed, total, bytesPerSecond, eta, stats }) => {
+    const rate = (bytesPerSecond / 1024 / 1024).toFixed(2);
+    statusLine(
+      chalk.cyan(`  [${completed}/${total}] `) +
+      chalk.green(`✓ ${stats.downloaded} | `) +
+      chalk.yellow(`⊘ ${stats.skipped} | `) +
+      chalk.red(`✗ ${stats.failed} | `) +
+      chalk.gray(`${rate} MB/s | ETA ${eta}s`)
+    );
+  });
+
+  emitter.on('block:done', ({ block, skipped, reason, filepath }) => {
+    if (output.level < 2) return;
+    endLine();
+    if (!skipped) {
+      log.detail(chalk.green(`  ✓ ${block.id} → ${filepath}`));
+    } else if (reason === 'exists') {
+      log.detail(chalk.yellow(`  ⊘ ${block.id} already saved as ${filepath}`));
+    } else {
+      log.detail(chalk.gray(`  – ${block.id} has nothing to save`));
+    }
+  });
+
+  emitter.on('block:failed', ({ error }) => {
+    endLine();
+    log.error(chalk.red(`  ✗ ${error}`));
+  });
+
+  emitter.on('retry', ({ label, delay, error }) => {
+    endLine();
+    log.error(chalk.gray(`  ↻ Retrying ${label} in ${(delay / 1000).toFixed(1)}s (${error})`));
+  });
+
+  emitter.on('warning', ({ message }) => {
+    endLine();
+    log.warn(chalk.yellow(`⚠️  Warning: ${message}`));
+  });
+
+  emitter.on('removed', ({ entries, prune, dryRun, quarantineDir }) => {
+    endLine();
+    let action = 'Removed on Are.na (kept locally, use --prune to clean up)';
+    if (prune) {
+      const verb = prune === 'delete' ? 'delete' : 'quarantine';
+      action = dryRun ? `Would ${verb} removed blocks` : `${verb === 'delete' ? 'Deleting' : 'Quarantining'} removed blocks`;
+    }
+    log.info(chalk.yellow(`\n🗑️  ${action}:`));
+    entries.forEach(entry => log.info(chalk.gray(`  ${entry.filename}`)));
+    if (prune === 'quarantine' && !dryRun) {
+      log.info(chalk.gray(`Quarantined files moved to: ${quarantineDir}`));
+    }
+  });
+
+  emitter.on('export', ({ path: exportPath }) => {
+    endLine();
+    log.info(chalk.green(`✓ List exported to: ${exportPath}`));
+  });
+
+  emitter.on('gallery', ({ path: galleryPath }) => {
+    log.info(chalk.green(`✓ Gallery written to: ${galleryPath}`));
+  });
+
+  emitter.on('channel:done', (summary) => {
+    endLine();
+    printChannelSummary(summary);
+  });
+
+  emitter.on('package', ({ format, path: packagePath, files, bytes, changed }) => {
+    const label = format === 'bagit' ? 'Bag' : 'Package';
+    if (changed) {
+      log.info(chalk.green(`📦 ${label} written to: ${packagePath} (${files} file${files !== 1 ? 's' : ''}, ${formatBytes(bytes)})`));
+    } else {
+      log.info(chalk.gray(`📦 ${label} already up to date: ${packagePath}`));
+    }
+  });
+
+  emitter.on('nested', ({ channels }) => {
+    log.info(chalk.blue(`\n🔗 Following ${channels.length} nested channel${channels.length !== 1 ? 's' : ''}...`));
+  });
+
+  emitter.on('channel:skipped', ({ channel }) => {
+    log.info(chalk.gray(`\n↺ Skipping "${channel}" (already visited)`));
+  });
+
+  emitter.on('channel:failed', ({ kind, batch, channel, error }) => {
+    endLine();
+    log.error(chalk.yellow(`\n⚠ Unable to archive ${kind || batch ? '' : 'nested '}channel "${channel}": ${error}`));
+  });
+}
+
+// Events written by --json; the rest only with --verbose
+const JSON_EVENTS = [
+  'batch', 'profile', 'channel:start', 'channel', 'blocks', 'block:done', 'block:failed',
+  'retry', 'warning', 'removed', 'export', 'gallery', 'package', 'channel:done', 'nested',
+  'channel:skipped', 'channel:failed', 'cycle:start', 'cycle:done', 'cycle:failed',
+  'hook', 'hook:failed'
+];
+const VERBOSE_JSON_EVENTS = ['page', 'block:start', 'progress'];
+
+// Blocks and channel records are large; events carry just enough to identify them
+function toEventData(data) {
+  const result = { ...data };
+  if (data.block) {
+    result.block = { id: data.block.id, class: data.block.class, title: data.block.title || null };
+  }
+  if (data.info) {
+    const { contents, ...info } = data.info;
+    result.info = info;
+  }
+  return result;
+}
+
+function writeEvent(event, data = {}) {
+  process.stdout.write(JSON.stringify({ event, time: new Date().toISOString(), ...toEventData(data) }) + '\n');
+}
+
+// Print downloader events as NDJSON, one object per line
+function attachJsonReporter(emitter) {
+  const events = output.level >= 2 ? [...JSON_EVENTS, ...VERBOSE_JSON_EVENTS] : JSON_EVENTS;
+  for (const event of events) {
+    // --quiet keeps failures and summaries but not a line per saved block
+    if (event === 'block:done' && output.level < 1) continue;
+    emitter.on(event, data => writeEvent(event, data));
+  }
+}
+
+function attachOutput(emitter) {
+  if (output.json) {
+    attachJsonReporter(emitter);
+  } else {
+    attachReporter(emitter);
+  }
+}
+
+function expandHome(dir) {
+  return dir.replace(/^~/, process.env.HOME);
+}
+
+// Accept a bare slug or any are.na channel URL
+function parseChannelSlug(input) {
+  const urlMatch = input.match(/are\.na\/[^/]+\/([^/?#]+)/);
+  return urlMatch ? urlMatch[1] : input;
+}
+
+// One slug or URL per line; blank lines and # comments are ignored
+function readChannelList(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read channel list ${file}: ${error.message}`);
+  }
+  const entries = content
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => ({ slug: parseChannelSlug(line) }));
+  if (entries.length === 0) {
+    throw new Error(`No channels found in ${file}`);
+  }
+  return entries;
+}
+
+// The `channels` array in ~/.arena-dlrc: slugs or { slug, dir, blockTypes }
+function configChannels() {
+  return config.channels.map(entry => {
+    if (typeof entry === 'string') return { slug: parseChannelSlug(entry) };
+    const blockTypes = typeof entry.blockTypes === 'string'
+      ? entry.blockTypes.split(',').map(t => t.trim())
+      : entry.blockTypes;
+    return {
+      slug: parseChannelSlug(entry.slug),
+      dir: entry.dir && expandHome(entry.dir),
+      blockTypes
+    };
+  });
+}
+
+// Dates like 2024-05-01 cover the whole day when used as an upper bound
+function parseDate(value, endOfDay = false) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a valid date (try YYYY-MM-DD)`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function exitWithError(error, code = 1) {
+  if (output.json) {
+    writeEvent('error', { message: error.message });
+    process.exit(code);
+  }
+  log.error(chalk.red(`\n❌ Error: ${error.message}`));
+  log.error(chalk.gray(`📖 See docs: https://github.com/strangesongs/arena-dl#error-handling\n`));
+  process.exit(code);
+}
+
+// CLI
+const config = loadConfig();
+
+// Options shared by every command that downloads channels
+function downloadOptions(yargs) {
+  return yargs
+    .positional('dir', {
+      describe: 'Where to save downloaded images',
+      type: 'string',
+      default: config.outputDir || './downloads'
+    })
+    .option('force', {
+      describe: 'Re-download images that already exist',
+      type: 'boolean',
+      default: false
+    })
+    .option('dry-run', {
+      describe: 'Show what would be downloaded without downloading',
+      type: 'boolean',
+      default: false
+    })
+    .option('format', {
+      describe: 'Export block list (csv, json, ndjson) or raw API data (raw)',
+      type: 'string',
+      choices: EXPORT_FORMATS
+    })
+    .option('block-types', {
+      describe: 'Types to download (image, link, embed, attachment, text)',
+      type: 'string',
+      default: 'image'
+    })
+    .option('since', {
+      describe: 'Only blocks added on or after this date',
+      type: 'string',
+      coerce: (value) => parseDate(value)
+    })
+    .option('until', {
+      describe: 'Only blocks added on or before this date',
+      type: 'string',
+      coerce: (value) => parseDate(value, true)
+    })
+    .option('user', {
+      describe: 'Only blocks connected by this Are.na user',
+      type: 'string'
+    })
+    .option('match', {
+      describe: 'Only blocks whose title matches this regular expression',
+      type: 'string'
+    })
+    .option('newest', {
+      describe: 'Only the N most recently added blocks',
+      type: 'number'
+    })
+    .option('limit', {
+      describe: 'At most N blocks, in channel order',
+      type: 'number'
+    })
+    .option('filename', {
+      describe: 'Filename template, e.g. "{created:YYYY-MM-DD}_{title}.{ext}"',
+      type: 'string',
+      default: config.filename || DEFAULT_TEMPLATE
+    })
+    .option('layout', {
+      describe: 'Put files in subfolders by block type or month added',
+      type: 'string',
+      choices: Object.keys(LAYOUTS),
+      default: config.layout || 'flat'
+    })
+    .option('archive-links', {
+      describe: 'Also save the page each link block points to, as single-file HTML or WARC',
+      type: 'string',
+      coerce: (value) => (value === '' ? 'html' : value)
+    })
+    .option('size', {
+      describe: 'Which image rendition to download',
+      type: 'string',
+      choices: IMAGE_SIZES,
+      default: config.size || 'original'
+    })
+    .option('convert', {
+      describe: 'Convert images to this format after downloading',
+      type: 'string',
+      choices: CONVERT_FORMATS,
+      default: config.convert
+    })
+    .option('quality', {
+      describe: 'Quality for --convert, 1-100 (default 80)',
+      type: 'number',
+      default: config.quality
+    })
+    .option('max-dimension', {
+      describe: 'With --convert, shrink images to fit within N×N pixels',
+      type: 'number',
+      default: config.maxDimension
+    })
+    .option('store', {
+      describe: 'Keep one copy of each file in a shared store and link it into channel folders',
+      type: 'string',
+      coerce: (value) => (value === '' ? true : value)
+    })
+    .option('link', {
+      describe: 'How to link stored files into channel folders',
+      type: 'string',
+      choices: LINK_MODES,
+      default: config.link || 'hard'
+    })
+    .option('package', {
+      describe: 'Package each channel as a BagIt bag (bagit), or a bag in a .tar.gz (tar) or .zip (zip)',
+      type: 'string',
+      coerce: (value) => (value === '' ? 'bagit' : value)
+    })
+    .option('with-sources', {
+      describe: 'Save original source URLs for archived content',
+      type: 'boolean',
+      default: false
+    })
+    .option('include-metadata', {
+      describe: 'Save block descriptions and metadata',
+      type: 'boolean',
+      default: false
+    })
+    .option('deep-metadata', {
+      describe: 'Also save block comments and connections, and the channel record as channel.json',
+      type: 'boolean',
+      default: false
+    })
+    .option('html', {
+      describe: 'Build an offline index.html gallery in each channel folder',
+      type: 'boolean',
+      default: false
+    })
+    .option('prune', {
+      describe: 'Delete or quarantine files for blocks removed on Are.na',
+      type: 'string',
+      // --prune alone quarantines, which can be undone
+      coerce: (value) => (value === '' ? 'quarantine' : value),
+      choices: ['delete', 'quarantine']
+    })
+    .option('concurrency', {
+      describe: 'Number of downloads to run at once',
+      type: 'number',
+      default: config.concurrent || CONCURRENT_DOWNLOADS
+    })
+    .option('timeout', {
+      describe: 'Request timeout in milliseconds',
+      type: 'number',
+      default: config.timeout || DEFAULT_TIMEOUT
+    })
+    .option('rate-limit', {
+      describe: 'Maximum downloads started per second, across all channels',
+      type: 'number',
+      default: config.rateLimit
+    })
+    .option('retries', {
+      describe: 'Times to retry failed requests',
+      type: 'number',
+      default: config.retries ?? DEFAULT_RETRIES
+    })
+    .option('token', {
+      describe: 'Are.na access token for private channels (or set ARENA_TOKEN)',
+      type: 'string'
+    })
+    .option('api-base', {
+      describe: 'Are.na API address, e.g. a local mirror (or set ARENA_API_BASE)',
+      type: 'string'
+    })
+    .option('recursive', {
+      describe: 'Follow nested channels, optionally up to a depth',
+      // --recursive alone means no depth limit
+      coerce: (value) => {
+        if (value === undefined || value === false) return 0;
+        if (value === true || value === '') return Infinity;
+        const depth = Number(value);
+        if (!Number.isInteger(depth) || depth < 0) {
+          throw new Error('--recursive depth must be a positive whole number');
+        }
+        return depth;
+      }
+    })
+    .check((argv) => {
+      if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+        throw new Error('--concurrency must be a whole number of at least 1');
+      }
+      if (!(argv.timeout > 0)) {
+        throw new Error('--timeout must be a positive number of milliseconds');
+      }
+      if (argv.rateLimit !== undefined && !(argv.rateLimit > 0)) {
+        throw new Error('--rate-limit must be a positive number');
+      }
+      for (const name of ['limit', 'newest', 'parallel', 'maxDimension']) {
+        if (argv[name] !== undefined && (!Number.isInteger(argv[name]) || argv[name] < 1)) {
+          const flag = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+          throw new Error(`--${flag} must be a whole number of at least 1`);
+        }
+      }
+      buildTemplate(argv.filename, argv.layout);
+      if (argv.archiveLinks !== undefined && !ARCHIVE_FORMATS.includes(argv.archiveLinks)) {
+        throw new Error(`--archive-links must be one of: ${ARCHIVE_FORMATS.join(', ')}`);
+      }
+      if (argv.package !== undefined && !PACKAGE_FORMATS.includes(argv.package)) {
+        throw new Error(`--package must be one of: ${PACKAGE_FORMATS.join(', ')}`);
+      }
+      if (argv.quality !== undefined && !(Number.isInteger(argv.quality) && argv.quality >= 1 && argv.quality <= 100)) {
+        throw new Error('--quality must be a whole number from 1 to 100');
+      }
+      if ((argv.quality !== undefined || argv.maxDimension !== undefined) && !argv.convert) {
+        throw new Error('--quality and --max-dimension need --convert');
+      }
+      if (argv.convert) loadSharp();
+      if (argv.onNew !== undefined && !argv.watch) {
+        throw new Error('--on-new only works together with --watch');
+      }
+      if (argv.watch !== undefined && !(argv.watch > 0)) {
+        throw new Error('--watch must be a positive number of minutes');
+      }
+      if (argv.match !== undefined) {
+        try {
+          new RegExp(argv.match);
+        } catch (error) {
+          throw new Error(`--match is not a valid regular expression: ${error.message}`);
+        }
+      }
+      return true;
+    });
+}
+
+function downloaderOptions(argv) {
+  return {
+    skipExisting: !argv.force,
+    dryRun: argv.dryRun,
+    exportFormat: argv.format,
+    blockTypes: argv.blockTypes.split(',').map(t => t.trim()),
+    withSources: argv.withSources,
+    includeMetadata: argv.includeMetadata,
+    deepMetadata: argv.deepMetadata,
+    html: argv.html,
+    filename: argv.filename,
+    archiveLinks: argv.archiveLinks,
+    package: argv.package ?? config.package,
+    size: argv.size,
+    convert: argv.convert,
+    quality: argv.quality,
+    maxDimension: argv.maxDimension,
+    layout: argv.layout,
+    since: argv.since,
+    until: argv.until,
+    user: argv.user,
+    match: argv.match,
+    newest: argv.newest,
+    limit: argv.limit,
+    token: argv.token || process.env.ARENA_TOKEN || config.token,
+    apiBase: getApiBase(argv),
+    prune: argv.prune,
+    retries: argv.retries,
+    concurrency: argv.concurrency,
+    timeout: argv.timeout,
+    // Shared so the limit holds across nested and sibling channels
+    rateLimiter: argv.rateLimit ? new RateLimiter(argv.rateLimit) : null,
+    recursive: argv.recursive,
+    store: createStore(argv)
+  };
+}
+
+function getApiBase(argv) {
+  const apiBase = argv.apiBase || process.env.ARENA_API_BASE || config.apiBase;
+  if (apiBase && !/^https?:\/\/[^/]/.test(apiBase)) {
+    exitWithError(new Error(`"${apiBase}" is not a valid API address (expected http:// or https://)`));
+  }
+  return apiBase;
+}
+
+// --store on its own keeps the store inside the output folder
+function createStore(argv) {
+  const store = argv.store ?? config.store;
+  if (!store) return null;
+  const dir = store === true ? path.join(argv.dir, '.arena-dl-store') : expandHome(store);
+  return new ContentStore(dir, { link: argv.link });
+}
+
+async function runDownloader(downloader, { combined }) {
+  try {
+    const result = await downloader.download();
+    if (output.json) {
+      writeEvent('summary', result);
+    } else if (combined) {
+      printCombinedSummary(result);
+    }
+    return result;
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+// Re-download a channel every --watch minutes, reporting what's new each time
+async function watchChannel(slug, argv, { combined }) {
+  const options = downloaderOptions(argv);
+  const watcher = new Watcher(
+    (extra) => new ArenaDownloader(slug, argv.dir, { ...options, ...extra }),
+    { interval: argv.watch * 60 * 1000, onNew: argv.onNew, timeout: argv.timeout }
+  );
+  attachOutput(watcher);
+
+  watcher.on('cycle:start', ({ cycle, startedAt }) => {
+    if (cycle === 1) {
+      log.info(chalk.blue(`⏱️  Watch mode: checking every ${argv.watch} minute(s)\n`));
+    } else {
+      log.info(chalk.gray(`\n[${startedAt.toLocaleTimeString()}] Checking for updates...\n`));
+    }
+  });
+
+  watcher.on('cycle:done', ({ result, newBlocks, baseline }) => {
+    if (combined) printCombinedSummary(result);
+    if (baseline) {
+      log.info(chalk.gray(`\nFirst check done (${newBlocks.length} block${newBlocks.length !== 1 ? 's' : ''} downloaded). Blocks added from now on will be reported.`));
+    } else if (newBlocks.length === 0) {
+      log.info(chalk.gray('\nNo new blocks since the last check.'));
+    } else {
+      log.summary(chalk.green(`\n✨ ${newBlocks.length} new block${newBlocks.length !== 1 ? 's' : ''}:`));
+      newBlocks.forEach(block => log.summary(chalk.white(`  ${block.id}  ${block.title || block.file}`)));
+    }
+  });
+
+  watcher.on('cycle:failed', ({ error }) => {
+    log.error(chalk.red(`\n❌ Check failed: ${error}`));
+    log.error(chalk.gray(`Trying again in ${argv.watch} minute(s).`));
+  });
+
+  watcher.on('hook', ({ target, count }) => {
+    log.info(chalk.gray(`↪ Sent ${count} new block${count !== 1 ? 's' : ''} to ${target}`));
+  });
+
+  watcher.on('hook:failed', ({ target, error }) => {
+    log.warn(chalk.yellow(`⚠️  Warning: --on-new hook ${target} failed: ${error}`));
+  });
+
+  await watcher.start();
+}
+
+async function downloadBatch(entries, argv) {
+  if (argv.dryRun) {
+    log.info(chalk.yellow('\n🔍 Dry-run mode: showing what would be downloaded\n'));
+  }
+
+  const downloader = new BatchDownloader(entries, argv.dir, {
+    ...downloaderOptions(argv),
+    parallel: argv.parallel
+  });
+  attachOutput(downloader);
+  const result = await runDownloader(downloader, { combined: true });
+  if (result.failedChannels.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+function printVerifyReport({ title, dir, checked, issues }) {
+  log.summary(chalk.blue(`\n📂 ${title} (${dir})`));
+  if (issues.length === 0) {
+    log.summary(chalk.green(`✅ All ${checked} block${checked !== 1 ? 's' : ''} verified, no problems found.`));
+    return;
+  }
+
+  log.summary(chalk.yellow(`⚠️  ${issues.length} problem${issues.length !== 1 ? 's' : ''} found across ${checked} block${checked !== 1 ? 's' : ''}:`));
+  for (const [type, label] of Object.entries(ISSUE_TYPES)) {
+    const matching = issues.filter(issue => issue.type === type);
+    if (matching.length === 0) continue;
+    log.summary(chalk.white(`\n${label} (${matching.length})`));
+    for (const issue of matching) {
+      log.summary(chalk.gray(`  ${issue.file}${issue.detail ? `  ${issue.detail}` : ''}`));
+    }
+  }
+  log.summary(chalk.gray('\nRun the download again to repair missing, damaged and outdated files.'));
+}
+
+// Exit codes: 0 intact, 1 problems found, 2 couldn't check
+async function verifyChannel(argv) {
+  const slug = parseChannelSlug(argv.slug);
+  const verifier = new ArchiveVerifier(slug, argv.dir, {
+    blockTypes: argv.blockTypes.split(',').map(t => t.trim()),
+    filename: argv.filename,
+    layout: argv.layout,
+    size: argv.size,
+    convert: argv.convert,
+    token: argv.token || process.env.ARENA_TOKEN || config.token,
+    apiBase: getApiBase(argv),
+    retries: argv.retries,
+    timeout: argv.timeout
+  });
+
+  if (!argv.json) {
+    log.info(chalk.blue(`\n🔍 Verifying Are.na channel: "${slug}"`));
+    attachReporter(verifier);
+  }
+
+  let report;
+  try {
+    report = await verifier.verify();
+  } catch (error) {
+    if (argv.json) {
+      console.log(JSON.stringify({ slug, ok: false, error: error.message }, null, 2));
+      process.exit(2);
+    }
+    exitWithError(error, 2);
+  }
+
+  if (argv.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printVerifyReport(report);
+  }
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+async function downloadProfile(kind, argv) {
+  // Extract slug from URL if provided
+  let slug = argv.slug;
+  const urlMatch = slug.match(/are\.na\/([^/?#]+)\/?$/);
+  if (urlMatch) {
+    slug = urlMatch[1];
+    log.info(chalk.gray(`📎 Extracted ${kind} name from URL: ${slug}`));
+  }
+
+  if (argv.dryRun) {
+    log.info(chalk.yellow('\n🔍 Dry-run mode: showing what would be downloaded\n'));
+  }
+
+  log.info(chalk.blue(`\n🔍 Looking up Are.na ${kind}: "${slug}"`));
+  const downloader = new ProfileDownloader(kind, slug, argv.dir, downloaderOptions(argv));
+  attachOutput(downloader);
+  await runDownloader(downloader, { combined: true });
+}
+
+// --recursive takes an optional depth, so a channel or folder after it
+// would be read as one. Only a number is the depth
+function separateRecursiveDepth(args) {
+  return args.map((arg, i) => (arg === '--recursive' && !/^\d+$/.test(args[i + 1] || '') ? '--recursive=' : arg));
+}
+
+yargs(separateRecursiveDepth(hideBin(process.argv)))
+  .scriptName('arena-dl')
+  .usage('$0 [channel] [options]')
+  .version(false)
+  .command(
+    '$0 [slug] [dir]',
+    'Download images from an Are.na channel',
+    (yargs) => {
+      return downloadOptions(
+        yargs
+          .positional('slug', {
+            describe: 'Are.na channel name or full URL',
+            type: 'string'
+          })
+          .option('watch', {
+            describe: 'Check for new images every N minutes',
+            type: 'number'
+          })
+          .option('on-new', {
+            describe: 'With --watch, send new blocks as JSON to a command (stdin) or webhook URL',
+            type: 'string'
+          })
+          .option('from', {
+            describe: 'Download every channel listed in a file (one slug or URL per line)',
+            type: 'string'
+          })
+          .option('parallel', {
+            describe: 'Channels to download at once with --from or configured channels',
+            type: 'number',
+            default: config.parallel || 1
+          })
+      );
+    },
+    async (argv) => {
+      // Batch mode: a list file, or the channels configured in ~/.arena-dlrc
+      if (argv.from || (!argv.slug && Array.isArray(config.channels) && config.channels.length > 0)) {
+        if (argv.watch) {
+          exitWithError(new Error('--watch works with a single channel only'));
+        }
+        let entries;
+        try {
+          entries = argv.from ? readChannelList(argv.from) : configChannels();
+        } catch (error) {
+          exitWithError(error);
+        }
+        // With --from the only positional argument is the output folder
+        if (argv.from && argv.slug) argv.dir = argv.slug;
+        await downloadBatch(entries, argv);
+        return;
+      }
+
+      if (!argv.slug) {
+        if (output.json) {
+          exitWithError(new Error('--json needs a channel name or URL'));
+        }
+        log.info(chalk.blue('\n🎯 Interactive Mode\n'));
+        const readline = require('readline');
+        const rl = readline.createInterface({
+          input: process.stdin,
+          output: process.stdout
+        });
+
+        const question = (prompt) => new Promise(resolve => rl.question(prompt, resolve));
+        
+        try {
+          const slug = await question(chalk.cyan('Channel name or URL: '));
+          const dir = await question(chalk.cyan(`Output directory (${config.outputDir || './downloads'}): `));
+          
+          rl.close();
+          
+          argv.slug = slug;
+          argv.dir = dir || config.outputDir || './downloads';
+        } catch (err) {
+          rl.close();
+          return;
+        }
+      }
+
+      // Extract slug from URL if provided
+      const slug = parseChannelSlug(argv.slug);
+      if (slug !== argv.slug) {
+        log.info(chalk.gray(`📎 Extracted channel name from URL: ${slug}`));
+      }
+
+      if (argv.dryRun) {
+        log.info(chalk.yellow('\n🔍 Dry-run mode: showing what would be downloaded\n'));
+      }
+
+      const combined = argv.recursive > 0;
+
+      if (argv.watch) {
+        await watchChannel(slug, argv, { combined });
+      } else {
+        const downloader = new ArenaDownloader(slug, argv.dir, downloaderOptions(argv));
+        attachOutput(downloader);
+        await runDownloader(downloader, { combined });
+      }
+    }
+  )
+  .command(
+    'user <slug> [dir]',
+    'Download every channel belonging to an Are.na user',
+    (yargs) => {
+      return downloadOptions(
+        yargs.positional('slug', {
+          describe: 'Are.na user name or profile URL',
+          type: 'string'
+        })
+      );
+    },
+    (argv) => downloadProfile('user', argv)
+  )
+  .command(
+    'group <slug> [dir]',
+    'Download every channel belonging to an Are.na group',
+    (yargs) => {
+      return downloadOptions(
+        yargs.positional('slug', {
+          describe: 'Are.na group name or profile URL',
+          type: 'string'
+        })
+      );
+    },
+    (argv) => downloadProfile('group', argv)
+  )
+  .command(
+    'verify <slug> [dir]',
+    'Check a downloaded channel folder against the channel on Are.na',
+    (yargs) => {
+      return yargs
+        .positional('slug', {
+          describe: 'Are.na channel name or full URL',
+          type: 'string'
+        })
+        .positional('dir', {
+          describe: 'Folder the channel was downloaded into',
+          type: 'string',
+          default: config.outputDir || './downloads'
+        })
+        .option('json', {
+          describe: 'Print the report as JSON',
+          type: 'boolean',
+          default: false
+        })
+        .option('block-types', {
+          describe: 'Types that were downloaded (image, link, embed, attachment, text)',
+          type: 'string',
+          default: 'image'
+        })
+        .option('filename', {
+          describe: 'Filename template the archive was made with',
+          type: 'string',
+          default: config.filename || DEFAULT_TEMPLATE
+        })
+        .option('layout', {
+          describe: 'Folder layout the archive was made with',
+          type: 'string',
+          choices: Object.keys(LAYOUTS),
+          default: config.layout || 'flat'
+        })
+        .option('size', {
+          describe: 'Image rendition the archive was made with',
+          type: 'string',
+          choices: IMAGE_SIZES,
+          default: config.size || 'original'
+        })
+        .option('convert', {
+          describe: 'Format images were converted to',
+          type: 'string',
+          choices: CONVERT_FORMATS,
+          default: config.convert
+        })
+        .option('token', {
+          describe: 'Are.na access token for private channels (or set ARENA_TOKEN)',
+          type: 'string'
+        })
+        .option('api-base', {
+          describe: 'Are.na API address, e.g. a local mirror (or set ARENA_API_BASE)',
+          type: 'string'
+        })
+        .option('retries', {
+          describe: 'Times to retry a failed request',
+          type: 'number',
+          default: config.retries ?? DEFAULT_RETRIES
+        })
+        .option('timeout', {
+          describe: 'Request timeout in milliseconds',
+          type: 'number',
+          default: config.timeout || DEFAULT_TIMEOUT
+        });
+    },
+    (argv) => verifyChannel(argv)
+  )
+  .command(
+    'render <dir>',
+    'Build an offline HTML gallery from a downloaded channel folder',
+    (yargs) => {
+      return yargs.positional('dir', {
+        describe: 'Channel folder, e.g. downloads/channel-slug',
+        type: 'string'
+      });
+    },
+    (argv) => {
+      try {
+        const galleryPath = renderGallery(argv.dir);
+        if (output.json) {
+          writeEvent('gallery', { path: galleryPath });
+        } else {
+          log.info(chalk.green(`✓ Gallery written to: ${galleryPath}`));
+        }
+      } catch (error) {
+        exitWithError(error);
+      }
+    }
+  )
+  .example('$0 architecture-portfolio', 'Download the "architecture-portfolio" channel')
+  .example('$0 design-inspiration ~/archives', 'Download to a specific folder')
+  .example('$0 https://www.are.na/user/channel-slug', 'Download using full URL')
+  .example('$0 research --force', 'Re-download everything')
+  .example('$0 gallery --dry-run', 'Preview what would download')
+  .example('$0 inspiration --watch 30', 'Check for updates every 30 minutes')
+  .example('$0 inspiration --watch 30 --on-new ./notify.sh', 'Pipe each batch of new blocks to a script')
+  .example('$0 collection --format json', 'Export list as JSON')
+  .example('$0 collection --format raw', 'Save the full API response as JSON')
+  .example('$0 mixed --block-types image,link', 'Download images and link screenshots')
+  .example('$0 archive --include-metadata', 'Save descriptions and metadata')
+  .example('$0 research --with-sources', 'Save original source URLs')
+  .example('$0 research --deep-metadata', 'Also save comments, connections and channel details')
+  .example('$0 private-notes --token abc123', 'Download a private channel')
+  .example('$0 research --api-base http://localhost:4000/v2', 'Use a local Are.na mirror')
+  .example('$0 research --recursive 2', 'Also download channels nested two levels deep')
+  .example('$0 --from channels.txt ~/archives', 'Download every channel listed in a file')
+  .example('$0 --from channels.txt --parallel 3', 'Download three listed channels at a time')
+  .example('$0 --from channels.txt --store', 'Store images shared between channels only once')
+  .example('$0 user jane-doe', 'Download every channel by a user')
+  .example('$0 group studio-collective', 'Download every channel by a group')
+  .example('$0 research --since 2024-01-01 --user jane-doe', 'Only blocks jane-doe added this year')
+  .example('$0 gallery --newest 20 --dry-run', 'Preview the 20 most recent blocks')
+  .example('$0 gallery --filename "{position:4}_{title}.{ext}"', 'Name files by their position in the channel')
+  .example('$0 gallery --layout month', 'Sort files into one folder per month')
+  .example('$0 moodboard --size display', 'Download smaller preview images')
+  .example('$0 moodboard --convert webp --max-dimension 1600', 'Save resized WebP copies')
+  .example('$0 reading-list --block-types link --archive-links', 'Save the linked pages, not just screenshots')
+  .example('$0 gallery --html', 'Also build an offline index.html gallery')
+  .example('$0 research --package', 'Package the channel as a BagIt bag')
+  .example('$0 research --package zip', 'Package the channel as a zipped bag')
+  .example('$0 gallery --json > gallery.ndjson', 'Log every event as JSON for scripts')
+  .example('$0 gallery --quiet', 'Only show warnings and the final summary')
+  .example('$0 verify gallery', 'Check downloads/gallery against the live channel')
+  .example('$0 render downloads/gallery', 'Build a gallery for an existing download')
+  .option('json', {
+    describe: 'Print progress and results as newline-delimited JSON events',
+    type: 'boolean',
+    default: false
+  })
+  .option('quiet', {
+    alias: 'q',
+    describe: 'Only print warnings, errors and the final summary',
+    type: 'boolean'
+  })
+  .option('verbose', {
+    describe: 'Also print every block and page as it is processed',
+    type: 'boolean'
+  })
+  .conflicts('quiet', 'verbose')
+  .middleware((argv) => {
+    output.json = argv.json;
+    output.level = argv.quiet ? 0 : argv.verbose ? 2 : 1;
+    output.progress = Boolean(process.stdout.isTTY) && !argv.json;
+  })
+  .option('help', {
+    alias: 'h',
+    describe: 'Show help'
+  })
+  .option('version', {
+    alias: 'v',
+    describe: 'Show version'
+  })
+  .parse();
@@ -0,0 +1,1263 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const axios = require('axios');
+const makeDir = require('make-dir');
+const mime = require('mime');
+const {
+  DEFAULT_API_BASE,
+  PER_PAGE,
+  CONCURRENT_DOWNLOADS,
+  DEFAULT_TIMEOUT,
+  DEFAULT_RETRIES,
+  API_REQUESTS_PER_SECOND,
+  STATE_DIR,
+  CHANNEL_RECORD,
+  MANIFEST_VERSION,
+  BLOCK_TYPES
+} = require('./constants');
+const { buildTemplate, renderFilename } = require('./filenames');
+const { ContentStore } = require('./store');
+const { getConvertExtension, describeConversion, convertImage } = require('./convert');
+const { archivePage } = require('./link-archive');
+const {
+  BROWSER_HEADERS,
+  createDecoder,
+  authHeaders,
+  retryableError,
+  withRetry,
+  RateLimiter
+} = require('./request');
+const { writeFileAtomic, hashData, hashFile, escapeHtml } = require('./files');
+const { renderGallery } = require('./gallery');
+const { packageChannel } = require('./package');
+const { EXPORT_FORMATS, blockRow, formatExport, getExportFilename } = require('./export');
+
+const pipe = promisify(pipeline);
+
+function describeUser(user) {
+  if (!user) return null;
+  return { id: user.id, slug: user.slug, name: user.full_name || user.username || null };
+}
+
+// Add up stats across several channels
+function sumStats(channels) {
+  const totals = {};
+  for (const channel of channels) {
+    for (const [key, value] of Object.entries(channel.stats)) {
+      totals[key] = (totals[key] || 0) + value;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Downloads the contents of one Are.na channel.
+ *
+ * Emits `channel:start`, `channel`, `page`, `blocks`, `block:start`,
+ * `block:done`, `block:failed`, `progress`, `retry`, `removed`, `export`,
+ * `gallery`, `package`, `warning`, `nested`, `channel:skipped`, `channel:failed`,
+ * `channel:done` and `complete`. Events from nested channels bubble up to the parent.
+ */
+class ArenaDownloader extends EventEmitter {
+  constructor(slug, outputDir, options = {}) {
+    super();
+    this.slug = slug;
+    this.outputDir = outputDir;
+    this.saveMetadata = false;
+    this.skipExisting = options.skipExisting !== false;
+    this.dryRun = options.dryRun || false;
+    this.exportFormat = options.exportFormat;
+    this.blockTypes = options.blockTypes || ['image'];  // Default to images only
+    this.withSources = options.withSources || false;
+    this.includeMetadata = options.includeMetadata || false;
+    this.html = options.html || false;
+    this.archiveLinks = options.archiveLinks || null;  // 'html' or 'warc'
+    this.packageFormat = options.package || null;  // 'bagit', 'tar' or 'zip'
+    this.deepMetadata = options.deepMetadata || false;
+    this.size = options.size || 'original';
+    this.convert = options.convert
+      ? { format: options.convert, quality: options.quality, maxDimension: options.maxDimension }
+      : null;
+    this.filenameTemplate = buildTemplate(options.filename, options.layout);
+    // Shared between channels so they dedupe against each other
+    this.store = options.store || (options.storeDir ? new ContentStore(options.storeDir, { link: options.link }) : null);
+    this.claimedNames = new Map();
+    this.since = options.since ? new Date(options.since) : null;
+    this.until = options.until ? new Date(options.until) : null;
+    this.user = options.user ? options.user.toLowerCase() : null;
+    this.match = options.match ? new RegExp(options.match, 'i') : null;
+    this.limit = options.limit || 0;
+    this.newest = options.newest || 0;
+    this.token = options.token;
+    this.apiBase = (options.apiBase || DEFAULT_API_BASE).replace(/\/+$/, '');
+    this.prune = options.prune;  // 'delete' or 'quarantine'
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.concurrency = options.concurrency || CONCURRENT_DOWNLOADS;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.rateLimiter = options.rateLimiter || (options.rateLimit ? new RateLimiter(options.rateLimit) : null);
+    this.apiLimiter = options.apiLimiter || new RateLimiter(API_REQUESTS_PER_SECOND);
+    this.manifest = null;
+    this.bytesDownloaded = 0;
+    this.recursive = options.recursive || 0;  // Max depth of nested channels to follow
+    this.depth = options.depth || 0;
+    this.visited = options.visited || new Set();
+    this.parent = options.parent || null;
+    this.options = options;
+    this.title = null;
+    this.channelDir = path.join(outputDir, slug);
+    this.children = [];
+    this.failedChannels = [];
+    this.stats = {
+      total: 0,
+      downloaded: 0,
+      skipped: 0,
+      failed: 0,
+      noImage: 0,
+      filtered: 0,
+      updated: 0,
+      renamed: 0,
+      removed: 0,
+      deduplicated: 0,
+      bytesSaved: 0,
+      archived: 0
+    };
+    this.failedBlocks = [];
+    this.downloadedBlocks = [];
+    this.results = new Map();  // Block id -> downloadBlock() result
+    this.channelInfo = null;
+    this.blocks = [];
+    this.matchedBlocks = [];
+    this.logPath = path.join(outputDir, `.arena-dl-${slug}.log`);
+  }
+
+  // Emit on this downloader and every parent, tagged with the channel it came from
+  publish(event, data = {}) {
+    const payload = { slug: this.slug, depth: this.depth, ...data };
+    this.emit(event, payload);
+    if (this.parent) this.parent.forward(event, payload);
+  }
+
+  forward(event, payload) {
+    this.emit(event, payload);
+    if (this.parent) this.parent.forward(event, payload);
+  }
+
+  retryOptions(label) {
+    return {
+      retries: this.retries,
+      onRetry: (error, delay) => this.publish('retry', { label, delay, error: error.message })
+    };
+  }
+
+  logFailure(blockId, title, error) {
+    this.failedBlocks.push({ blockId, title, error });
+  }
+
+  writefailedLog() {
+    if (this.failedBlocks.length > 0 && !this.dryRun) {
+      const logContent = this.failedBlocks
+        .map(b => `${b.blockId} - ${b.title}: ${b.error}`)
+        .join('\n');
+      fs.writeFileSync(this.logPath, logContent);
+    }
+  }
+
+  getExportStatus(block) {
+    const result = this.results.get(block.id);
+    if (!result || !result.success) return { status: 'failed' };
+    if (result.reason === 'no-image') return { status: 'no-content' };
+
+    const entry = this.manifest.blocks[block.id];
+    const file = entry ? entry.filename : this.getRelativePath(result.filepath);
+    if (this.dryRun && !result.skipped) return { status: 'planned', file };
+
+    // Older manifests didn't record when a file was saved
+    let downloadedAt = entry && entry.downloaded_at;
+    const filepath = path.join(this.channelDir, file);
+    if (!downloadedAt && fs.existsSync(filepath)) {
+      downloadedAt = fs.statSync(filepath).mtime.toISOString();
+    }
+
+    return { status: result.skipped ? 'existing' : 'downloaded', file, downloadedAt };
+  }
+
+  exportList() {
+    if (!this.exportFormat) return;
+
+    const exportDir = this.channelDir;
+    const exportPath = path.join(exportDir, getExportFilename(this.slug, this.exportFormat));
+    
+    // Create directory if it doesn't exist
+    if (!fs.existsSync(exportDir)) {
+      fs.mkdirSync(exportDir, { recursive: true });
+    }
+
+    const rows = this.matchedBlocks.map(block => blockRow(block, this.getExportStatus(block)));
+    const raw = { channel: this.channelInfo, contents: this.blocks };
+    writeFileAtomic(exportPath, formatExport(this.exportFormat, rows, raw));
+
+    this.publish('export', { path: exportPath });
+  }
+
+  getApiHeaders() {
+    return authHeaders(this.token);
+  }
+
+  isAuthError(error) {
+    const status = error.response?.status;
+    return status === 401 || status === 403;
+  }
+
+  describeApiError(error) {
+    if (this.isAuthError(error)) {
+      return this.token
+        ? `Access to channel "${this.slug}" was denied. Your Are.na token was rejected or can't see this channel.`
+        : `Channel "${this.slug}" is private. Provide an Are.na access token with --token or ARENA_TOKEN.`;
+    }
+    if (error.response?.status === 404) {
+      return `Channel "${this.slug}" not found. Check the name and try again.`;
+    }
+    return `Could not connect to Are.na. Check your internet connection.`;
+  }
+
+  async fetchChannelInfo() {
+    try {
+      const response = await withRetry(
+        () => axios.get(`${this.apiBase}/channels/${this.slug}/thumb`, {
+          headers: this.getApiHeaders(),
+          timeout: this.timeout
+        }),
+        this.retryOptions('channel info')
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(this.describeApiError(error));
+    }
+  }
+
+  async fetchPage(page) {
+    try {
+      const response = await withRetry(
+        () => axios.get(
+          `${this.apiBase}/channels/${this.slug}/contents`,
+          { params: { page, per: PER_PAGE }, headers: this.getApiHeaders(), timeout: this.timeout }
+        ),
+        this.retryOptions(`page ${page}`)
+      );
+      return response.data.contents || [];
+    } catch (error) {
+      // A rejected token won't work for later pages either
+      if (this.isAuthError(error)) {
+        throw new Error(this.describeApiError(error));
+      }
+      // A missing page would leave a silently incomplete archive
+      throw new Error(`Unable to retrieve page ${page} of "${this.slug}": ${error.message}`);
+    }
+  }
+
+  async fetchAllBlocks(totalBlocks) {
+    const totalPages = Math.ceil(totalBlocks / PER_PAGE);
+
+    const allBlocks = [];
+    for (let page = 1; page <= totalPages; page++) {
+      this.publish('page', { page, totalPages });
+      // Pages are spaced out to be polite
+      await this.apiLimiter.wait();
+      const blocks = await this.fetchPage(page);
+      allBlocks.push(...blocks);
+    }
+
+    return allBlocks;
+  }
+
+  // Every page of a paginated API list, paced like channel pages
+  async fetchApiList(url, key, label) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      await this.apiLimiter.wait();
+      const response = await withRetry(
+        () => axios.get(url, { params: { page, per: PER_PAGE }, headers: this.getApiHeaders(), timeout: this.timeout }),
+        this.retryOptions(`${label}, page ${page}`)
+      );
+      const batch = response.data[key] || [];
+      items.push(...batch);
+      const totalPages = response.data.total_pages;
+      if (batch.length < PER_PAGE || (totalPages && page >= totalPages)) break;
+    }
+    return items;
+  }
+
+  // A block's comments and the other channels it's connected to
+  async fetchBlockDetails(block) {
+    const base = `${this.apiBase}/blocks/${block.id}`;
+    const comments = await this.fetchApiList(`${base}/comments`, 'comments', `comments on block ${block.id}`);
+    const channels = await this.fetchApiList(`${base}/channels`, 'channels', `connections of block ${block.id}`);
+    return {
+      comments: comments.map(comment => ({
+        id: comment.id,
+        body: comment.body,
+        created_at: comment.created_at,
+        updated_at: comment.updated_at,
+        user: describeUser(comment.user)
+      })),
+      connections: channels
+        .filter(channel => channel.slug !== this.slug)
+        .map(channel => ({
+          id: channel.id,
+          slug: channel.slug,
+          title: channel.title,
+          status: channel.status,
+          length: channel.length,
+          user: describeUser(channel.user),
+          updated_at: channel.updated_at
+        }))
+    };
+  }
+
+  getBlockType(block) {
+    return BLOCK_TYPES[block.class] || 'unknown';
+  }
+
+  getAttachmentExtension(attachment) {
+    const ext = attachment.extension
+      || path.extname(attachment.file_name || '').slice(1)
+      || mime.getExtension(attachment.content_type)
+      || 'bin';
+    return ext.toLowerCase();
+  }
+
+  getExtension(block) {
+    switch (this.getBlockType(block)) {
+      case 'text':
+        return 'md';
+      case 'embed':
+        return 'html';
+      case 'attachment':
+        return this.getAttachmentExtension(block.attachment);
+      default:
+        return this.getImageExtension(block);
+    }
+  }
+
+  // The --size rendition, falling back to the original when the API has none
+  getImageUrl(block) {
+    const version = block.image[this.size] || block.image.original;
+    return version.url;
+  }
+
+  getImageExtension(block) {
+    if (this.convert) return getConvertExtension(this.convert.format);
+
+    if (this.size !== 'original' && block.image[this.size]) {
+      // Smaller renditions aren't always in the original's format
+      const ext = path.extname(new URL(block.image[this.size].url).pathname).slice(1).toLowerCase();
+      if (ext && mime.getType(ext)) return ext === 'jpeg' ? 'jpg' : ext;
+    }
+    return mime.getExtension(block.image.content_type) || 'jpg';
+  }
+
+  // Which image was fetched and how it was converted, for the manifest and sidecar
+  describeRendition(block) {
+    if (!block.image) return {};
+    return {
+      image_url: block.image.original.url,
+      download_url: this.getImageUrl(block),
+      conversion: this.convert ? describeConversion(this.convert) : null
+    };
+  }
+
+  // Path relative to the channel folder, from the filename template
+  getFilename(block) {
+    return renderFilename(this.filenameTemplate, block, this.getExtension(block));
+  }
+
+  // Names are claimed without their extension, since the sidecar, thumbnail
+  // and page snapshot all share it. Compared case-insensitively for macOS and Windows
+  nameKey(filename) {
+    return filename.replace(/\.[^./]+$/, '').toLowerCase();
+  }
+
+  // Files arena-dl writes for the channel itself, which no block may share a name with
+  reserveChannelFiles() {
+    const files = ['index.html', CHANNEL_RECORD, ...EXPORT_FORMATS.map(format => getExportFilename(this.slug, format))];
+    for (const file of files) this.claimedNames.set(this.nameKey(file), null);
+  }
+
+  /**
+   * Reserve a filename for a block, adding the block id when another block
+   * or a channel file already has it.
+   */
+  claimFilename(block, filename) {
+    const id = String(block.id);
+    // Also clear of other blocks' thumbnails and page snapshots, and the other way round
+    const isTaken = (key) => [key, `${key}_thumb`, `${key}_page`, key.replace(/_(thumb|page)$/, '')]
+      .some(k => this.claimedNames.has(k) && this.claimedNames.get(k) !== id);
+
+    let candidate = filename;
+    for (let n = 1; ; n++) {
+      if (!isTaken(this.nameKey(candidate))) break;
+      const suffix = n === 1 ? `_${block.id}` : `_${block.id}-${n}`;
+      candidate = filename.replace(/(\.[^./]+)?$/, `${suffix}$1`);
+    }
+    this.claimedNames.set(this.nameKey(candidate), id);
+    return candidate;
+  }
+
+  // When the block was added to this channel
+  getBlockDate(block) {
+    return new Date(block.connected_at || block.created_at);
+  }
+
+  matchesType(block) {
+    const type = this.getBlockType(block);
+    if (!this.blockTypes.includes(type)) return false;
+    // Image blocks have .image, Link blocks have .image (screenshot)
+    if ((type === 'image' || type === 'link') && !block.image) return false;
+    return true;
+  }
+
+  matchesFilters(block) {
+    if (this.since || this.until) {
+      const date = this.getBlockDate(block);
+      if (this.since && !(date >= this.since)) return false;
+      if (this.until && !(date <= this.until)) return false;
+    }
+    if (this.user) {
+      const names = [block.connected_by_user_slug, block.connected_by_username];
+      // Fall back to the block's author when the API doesn't say who connected it
+      if (!block.connected_by_user_slug && !block.connected_by_username && block.user) {
+        names.push(block.user.slug, block.user.username);
+      }
+      if (!names.some(name => name && name.toLowerCase() === this.user)) return false;
+    }
+    if (this.match && !this.match.test(block.title || '')) return false;
+    return true;
+  }
+
+  filterBlocks(blocks) {
+    let matched = blocks.filter(b => this.matchesType(b) && this.matchesFilters(b));
+    if (this.newest) {
+      matched = [...matched]
+        .sort((a, b) => this.getBlockDate(b) - this.getBlockDate(a))
+        .slice(0, this.newest);
+    }
+    if (this.limit) {
+      matched = matched.slice(0, this.limit);
+    }
+    return matched;
+  }
+
+  describeFilters() {
+    const filters = [];
+    if (this.since) filters.push(`since ${this.since.toISOString()}`);
+    if (this.until) filters.push(`until ${this.until.toISOString()}`);
+    if (this.user) filters.push(`connected by ${this.user}`);
+    if (this.match) filters.push(`title matches ${this.match}`);
+    if (this.newest) filters.push(`newest ${this.newest}`);
+    if (this.limit) filters.push(`limit ${this.limit}`);
+    return filters;
+  }
+
+  hasContent(block) {
+    switch (this.getBlockType(block)) {
+      case 'text':
+      case 'embed':
+        return true;
+      case 'attachment':
+        return Boolean(block.attachment && block.attachment.url);
+      default:
+        return Boolean(block.image);
+    }
+  }
+
+  // Streams url to a temp file and moves it into place once the size checks out
+  async downloadFile(url, filepath) {
+    const tempPath = `${filepath}.part`;
+
+    return withRetry(async () => {
+      if (this.rateLimiter) await this.rateLimiter.wait();
+      const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: this.timeout,
+        headers: BROWSER_HEADERS,
+        maxRedirects: 5,
+        // Decoded below, so the bytes received can be checked against Content-Length
+        decompress: false
+      });
+
+      // Content-Length counts the encoded bytes, before any decompression
+      const expected = Number(response.headers['content-length']) || 0;
+      const decoder = createDecoder(response.headers['content-encoding']);
+      let received = 0;
+      response.data.on('data', (chunk) => {
+        received += chunk.length;
+        this.bytesDownloaded += chunk.length;
+      });
+
+      try {
+        await pipe(response.data, ...(decoder ? [decoder] : []), fs.createWriteStream(tempPath));
+
+        if (expected && received !== expected) {
+          throw retryableError(`Incomplete download (${received} of ${expected} bytes)`);
+        }
+        // Check if we actually got data
+        if (fs.statSync(tempPath).size === 0) {
+          throw retryableError('Received empty response');
+        }
+      } catch (error) {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        throw error;
+      }
+
+      fs.renameSync(tempPath, filepath);
+    }, this.retryOptions(path.basename(new URL(url).pathname) || url));
+  }
+
+  // Reuses content from the shared store when one is configured, except with --force
+  async fetchFile(url, filepath, conversion) {
+    // Converted files are stored apart from the originals they came from
+    const key = conversion ? `${url}#${describeConversion(conversion)}` : url;
+    const stored = this.store && this.skipExisting && this.store.lookup(key);
+    if (stored) {
+      this.store.linkInto(stored, filepath);
+      this.stats.deduplicated++;
+      this.stats.bytesSaved += fs.statSync(stored).size;
+      return;
+    }
+
+    if (conversion) {
+      const sourcePath = `${filepath}.orig.part`;
+      try {
+        await this.downloadFile(url, sourcePath);
+        await convertImage(sourcePath, filepath, conversion);
+      } finally {
+        if (fs.existsSync(sourcePath)) fs.unlinkSync(sourcePath);
+      }
+    } else {
+      await this.downloadFile(url, filepath);
+    }
+
+    // Same bytes under a different URL. A forced download also replaces a damaged stored copy
+    if (this.store && this.store.add(key, filepath, { verify: !this.skipExisting })) {
+      this.stats.deduplicated++;
+      this.stats.bytesSaved += fs.statSync(filepath).size;
+    }
+  }
+
+  // GET with the same retries, timeout and rate limiting as downloads.
+  // Error statuses other than 429 and 5xx resolve so they can be recorded.
+  async fetchRemote(url, options = {}) {
+    return withRetry(async () => {
+      if (this.rateLimiter) await this.rateLimiter.wait();
+      return axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: this.timeout,
+        headers: BROWSER_HEADERS,
+        maxRedirects: 5,
+        validateStatus: status => status < 500 && status !== 429,
+        ...options
+      });
+    }, this.retryOptions(url));
+  }
+
+  // Like writeFileAtomic, for a response body that's too big to buffer
+  async saveStream(stream, filepath) {
+    const tempPath = `${filepath}.part`;
+    try {
+      await pipe(stream, fs.createWriteStream(tempPath));
+    } catch (error) {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      throw error;
+    }
+    fs.renameSync(tempPath, filepath);
+  }
+
+  // Snapshot of a link block's page, saved as <name>_page.html or .warc
+  findLinkArchive(filepath) {
+    const dir = path.dirname(filepath);
+    const prefix = `${path.basename(filepath).replace(/\.[^.]+$/, '')}_page.`;
+    if (!fs.existsSync(dir)) return null;
+    const file = fs.readdirSync(dir).find(f => f.startsWith(prefix) && !f.endsWith('.part'));
+    return file ? path.join(dir, file) : null;
+  }
+
+  async archiveLink(block, filepath) {
+    const url = block.source.url;
+    const base = filepath.replace(/\.[^.]+$/, '');
+    const info = { url, format: this.archiveLinks, archived_at: new Date().toISOString() };
+
+    try {
+      const page = await archivePage(url, {
+        format: this.archiveLinks,
+        get: (target, options) => this.fetchRemote(target, options),
+        filename: path.basename(`${base}_page.warc`)
+      });
+      info.status = page.status;
+      info.final_url = page.finalUrl;
+      if (page.data || page.stream) {
+        const pagePath = `${base}_page.${page.ext}`;
+        if (page.stream) {
+          await this.saveStream(page.stream, pagePath);
+        } else {
+          writeFileAtomic(pagePath, page.data);
+        }
+        info.file = path.basename(pagePath);
+        this.stats.archived++;
+      } else {
+        this.publish('warning', { message: `${url} returned HTTP ${page.status}, page not archived` });
+      }
+    } catch (error) {
+      info.status = (error.response && error.response.status) || null;
+      info.error = error.message;
+      this.publish('warning', { message: `Could not archive ${url}: ${error.message}` });
+    }
+    return info;
+  }
+
+  wantsLinkArchive(block) {
+    return Boolean(this.archiveLinks && this.getBlockType(block) === 'link' && block.source && block.source.url);
+  }
+
+  /**
+   * Archive a link block's page unless it already has a snapshot.
+   * Returns the `link_archive` details for the metadata sidecar.
+   */
+  async ensureLinkArchive(block, filepath) {
+    if (!this.wantsLinkArchive(block)) return {};
+    if (this.findLinkArchive(filepath)) {
+      // Keep what the sidecar already says about it
+      const sidecar = this.readSidecar(filepath);
+      return sidecar && sidecar.link_archive ? { link_archive: sidecar.link_archive } : {};
+    }
+    return { link_archive: await this.archiveLink(block, filepath) };
+  }
+
+  readSidecar(filepath) {
+    try {
+      return JSON.parse(fs.readFileSync(filepath.replace(/\.[^.]+$/, '.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Comments are fetched again once the block's comment count changes, or with --force
+  needsBlockDetails(block, filepath) {
+    if (!this.deepMetadata) return false;
+    if (!this.skipExisting) return true;
+    const sidecar = this.readSidecar(filepath);
+    return !sidecar || !sidecar.comments || !sidecar.connections || sidecar.comment_count !== block.comment_count;
+  }
+
+  /**
+   * Fetch comments and connections for --deep-metadata unless the sidecar
+   * already has current ones. Returns the fields to add to the sidecar.
+   */
+  async ensureBlockDetails(block, filepath) {
+    if (!this.deepMetadata) return {};
+    if (!this.needsBlockDetails(block, filepath)) {
+      const { comments, connections } = this.readSidecar(filepath);
+      return { comments, connections };
+    }
+    try {
+      return await this.fetchBlockDetails(block);
+    } catch (error) {
+      // Left out of the sidecar, so the next run tries again
+      this.publish('warning', { message: `Could not fetch comments and connections for block ${block.id}: ${error.message}` });
+      return {};
+    }
+  }
+
+  renderText(block) {
+    const body = block.content || block.content_html || '';
+    return block.title ? `# ${block.title}\n\n${body}\n` : `${body}\n`;
+  }
+
+  async saveEmbed(block, filepath) {
+    const title = block.title || (block.embed && block.embed.title) || `Block ${block.id}`;
+    const sourceUrl = block.source && block.source.url;
+    const parts = [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(title)}</title>`,
+      '</head>',
+      '<body>',
+      `<h1>${escapeHtml(title)}</h1>`
+    ];
+
+    if (block.embed && block.embed.html) {
+      parts.push(block.embed.html);
+    }
+    if (sourceUrl) {
+      parts.push(`<p><a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a></p>`);
+    }
+
+    // Fetch the thumbnail first so a failure doesn't leave an "existing" file behind
+    if (block.image) {
+      const thumbPath = filepath.replace(/\.html$/, `_thumb.${this.getImageExtension(block)}`);
+      await this.fetchFile(this.getImageUrl(block), thumbPath, this.convert);
+      // A thumbnail saved with other --size or --convert settings
+      const prefix = `${path.basename(filepath, '.html')}_thumb.`;
+      fs.readdirSync(path.dirname(filepath))
+        .filter(f => f.startsWith(prefix) && f !== path.basename(thumbPath) && !f.endsWith('.part'))
+        .forEach(f => fs.unlinkSync(path.join(path.dirname(filepath), f)));
+      parts.push(`<img src="${escapeHtml(path.basename(thumbPath))}" alt="${escapeHtml(title)}">`);
+    }
+
+    parts.push('</body>', '</html>', '');
+    writeFileAtomic(filepath, parts.join('\n'));
+  }
+
+  async saveBlockContent(block, filepath) {
+    switch (this.getBlockType(block)) {
+      case 'text':
+        writeFileAtomic(filepath, this.renderText(block));
+        break;
+      case 'embed':
+        await this.saveEmbed(block, filepath);
+        break;
+      case 'attachment':
+        await this.fetchFile(block.attachment.url, filepath);
+        break;
+      default:
+        await this.fetchFile(this.getImageUrl(block), filepath, this.convert);
+    }
+  }
+
+  getManifestPath(channelDir) {
+    return path.join(channelDir, STATE_DIR, 'manifest.json');
+  }
+
+  loadManifest(channelDir) {
+    const manifestPath = this.getManifestPath(channelDir);
+    try {
+      if (fs.existsSync(manifestPath)) {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (manifest.version === MANIFEST_VERSION && manifest.blocks) return manifest;
+      }
+    } catch (error) {
+      this.publish('warning', { message: `Could not read manifest ${manifestPath}, starting fresh` });
+    }
+    return { version: MANIFEST_VERSION, channel: this.slug, blocks: {} };
+  }
+
+  saveManifest(channelDir) {
+    if (this.dryRun) return;
+
+    const manifestPath = this.getManifestPath(channelDir);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    this.manifest.synced_at = new Date().toISOString();
+    writeFileAtomic(manifestPath, JSON.stringify(this.manifest, null, 2));
+  }
+
+  // Fields kept in the manifest so an archive can be browsed without Are.na
+  describeBlock(block) {
+    return {
+      title: block.title || null,
+      class: block.class,
+      description: block.description || null,
+      source_url: (block.source && block.source.url) || null,
+      created_at: block.created_at,
+      position: block.position
+    };
+  }
+
+  // Manifest paths always use `/`, whatever the platform
+  getRelativePath(filepath) {
+    return path.relative(this.channelDir, filepath).split(path.sep).join('/');
+  }
+
+  recordBlock(block, filepath) {
+    const stats = fs.statSync(filepath);
+    this.manifest.blocks[block.id] = {
+      id: block.id,
+      filename: this.getRelativePath(filepath),
+      updated_at: block.updated_at,
+      size: stats.size,
+      sha256: hashFile(filepath),
+      downloaded_at: stats.mtime.toISOString(),
+      ...this.describeBlock(block),
+      ...this.describeRendition(block),
+      ...(block.attachment ? { attachment_url: block.attachment.url } : {})
+    };
+  }
+
+  // The saved file plus its metadata sidecar and embed thumbnail
+  findBlockFiles(filename, channelDir) {
+    const folder = path.posix.dirname(filename);
+    const name = path.posix.basename(filename);
+    const base = name.replace(/\.[^.]+$/, '');
+    const dir = path.join(channelDir, folder);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(f => f === name || f === `${base}.json` || f.startsWith(`${base}_thumb.`) || f.startsWith(`${base}_page.`))
+      .map(f => path.posix.join(folder, f));
+  }
+
+  /**
+   * Whether the saved file still holds the block's content. Editing a title
+   * or description on Are.na also changes updated_at, so files are compared
+   * by where they came from (or, for text, by hash) and only renamed.
+   */
+  isUnchanged(block, entry, channelDir) {
+    const filepath = path.join(channelDir, entry.filename);
+    if (!fs.existsSync(filepath) || fs.statSync(filepath).size !== entry.size) return false;
+
+    switch (this.getBlockType(block)) {
+      case 'text':
+        return hashData(this.renderText(block)) === entry.sha256;
+      case 'attachment':
+        // Manifests from older versions don't record the attachment URL
+        return entry.attachment_url
+          ? entry.attachment_url === block.attachment.url
+          : entry.updated_at === block.updated_at;
+      case 'embed':
+        // The saved page repeats the title, so any edit rewrites it
+        if (entry.updated_at !== block.updated_at) return false;
+        break;
+    }
+
+    // A replaced image, or a different --size or --convert, needs the image fetched again
+    if (block.image) {
+      const rendition = this.describeRendition(block);
+      if ((entry.download_url || block.image.original.url) !== rendition.download_url) return false;
+      if ((entry.conversion || null) !== rendition.conversion) return false;
+    }
+    return true;
+  }
+
+  renameBlockFiles(entry, filename, channelDir) {
+    this.stats.renamed++;
+    if (this.dryRun) return;
+
+    const oldBase = entry.filename.replace(/\.[^.]+$/, '');
+    const newBase = filename.replace(/\.[^.]+$/, '');
+    fs.mkdirSync(path.join(channelDir, path.dirname(filename)), { recursive: true });
+    for (const file of this.findBlockFiles(entry.filename, channelDir)) {
+      fs.renameSync(path.join(channelDir, file), path.join(channelDir, newBase + file.slice(oldBase.length)));
+    }
+    this.removeEmptyFolder(entry.filename, channelDir);
+    entry.filename = filename;
+  }
+
+  // Tidy up subfolders left empty by a template change or pruning
+  removeEmptyFolder(filename, channelDir) {
+    let folder = path.posix.dirname(filename);
+    while (folder !== '.') {
+      const dir = path.join(channelDir, folder);
+      if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0) return;
+      fs.rmdirSync(dir);
+      folder = path.posix.dirname(folder);
+    }
+  }
+
+  removeBlockFiles(filename, channelDir) {
+    for (const file of this.findBlockFiles(filename, channelDir)) {
+      fs.unlinkSync(path.join(channelDir, file));
+    }
+    this.removeEmptyFolder(filename, channelDir);
+  }
+
+  quarantineBlockFiles(filename, channelDir) {
+    const quarantineDir = path.join(channelDir, STATE_DIR, 'removed');
+    fs.mkdirSync(quarantineDir, { recursive: true });
+    for (const file of this.findBlockFiles(filename, channelDir)) {
+      fs.mkdirSync(path.join(quarantineDir, path.dirname(file)), { recursive: true });
+      fs.renameSync(path.join(channelDir, file), path.join(quarantineDir, file));
+    }
+    this.removeEmptyFolder(filename, channelDir);
+  }
+
+  // Report blocks in the manifest that no longer exist on Are.na
+  handleRemovedBlocks(blocks, channelDir, expected) {
+    const liveIds = new Set(blocks.map(b => String(b.id)));
+    const removed = Object.values(this.manifest.blocks).filter(entry => !liveIds.has(String(entry.id)));
+    if (removed.length === 0) return;
+
+    // A short listing can't tell removed blocks from ones the API left out
+    if (blocks.length < expected) {
+      this.publish('warning', {
+        message: `Only ${blocks.length} of ${expected} blocks were listed, so ${removed.length} missing from the list weren't treated as removed`
+      });
+      return;
+    }
+    this.stats.removed = removed.length;
+
+    const quarantineDir = path.join(channelDir, STATE_DIR, 'removed');
+    this.publish('removed', {
+      entries: removed.map(entry => ({ ...entry })),
+      prune: this.prune,
+      dryRun: this.dryRun,
+      quarantineDir
+    });
+
+    for (const entry of removed) {
+      if (!this.prune || this.dryRun) continue;
+
+      if (this.prune === 'delete') {
+        this.removeBlockFiles(entry.filename, channelDir);
+      } else {
+        this.quarantineBlockFiles(entry.filename, channelDir);
+      }
+      delete this.manifest.blocks[entry.id];
+    }
+  }
+
+  async downloadBlock(block, channelDir) {
+    const result = await this.processBlock(block, channelDir);
+    this.results.set(block.id, result);
+    if (result.success) {
+      this.publish('block:done', { block, ...result });
+    } else {
+      this.publish('block:failed', { block, error: result.error });
+    }
+    return result;
+  }
+
+  async processBlock(block, channelDir) {
+    // Skip blocks with nothing to save
+    if (!this.hasContent(block)) {
+      this.stats.noImage++;
+      return { success: true, skipped: true, reason: 'no-image' };
+    }
+
+    const filename = this.claimFilename(block, this.getFilename(block));
+    const filepath = path.join(channelDir, filename);
+    const entry = this.manifest.blocks[block.id];
+    this.publish('block:start', { block, filepath });
+
+    try {
+      if (this.skipExisting) {
+        // Same content, only the title (and so the filename) may differ
+        if (entry && this.isUnchanged(block, entry, channelDir)) {
+          if (entry.filename !== filename) {
+            this.renameBlockFiles(entry, filename, channelDir);
+          }
+          if (!this.dryRun) {
+            // Title or description edited on Are.na, so the sidecar is out of date
+            const edited = entry.updated_at !== block.updated_at;
+            Object.assign(entry, this.describeBlock(block), { updated_at: block.updated_at });
+            // --archive-links or --deep-metadata added to an existing archive
+            const missingLink = this.wantsLinkArchive(block) && !this.findLinkArchive(filepath);
+            if (edited || missingLink || this.needsBlockDetails(block, filepath)) {
+              this.saveBlockMetadata(block, filepath, {
+                ...await this.ensureLinkArchive(block, filepath),
+                ...await this.ensureBlockDetails(block, filepath)
+              });
+            }
+          }
+          this.stats.skipped++;
+          return { success: true, skipped: true, reason: 'exists', filepath };
+        }
+
+        // Files saved before the manifest existed
+        if (!entry && fs.existsSync(filepath) && fs.statSync(filepath).size > 0) {
+          if (!this.dryRun) this.recordBlock(block, filepath);
+          this.stats.skipped++;
+          return { success: true, skipped: true, reason: 'exists', filepath };
+        }
+      }
+
+      // In dry-run mode, just count and don't download
+      if (this.dryRun) {
+        this.stats.downloaded++;
+        this.downloadedBlocks.push(block);
+        return { success: true, skipped: false, filepath, file: filename, added: !entry };
+      }
+
+      await makeDir(path.dirname(filepath));
+      await this.saveBlockContent(block, filepath);
+
+      // Edited blocks may have been saved under a different name
+      if (entry && entry.filename !== filename) {
+        this.removeBlockFiles(entry.filename, channelDir);
+      }
+      if (entry) this.stats.updated++;
+      this.recordBlock(block, filepath);
+      this.stats.downloaded++;
+      this.downloadedBlocks.push(block);
+      
+      // Save metadata if requested
+      this.saveBlockMetadata(block, filepath, {
+        ...await this.ensureLinkArchive(block, filepath),
+        ...await this.ensureBlockDetails(block, filepath)
+      });
+
+      return { success: true, skipped: false, filepath, file: filename, added: !entry };
+    } catch (error) {
+      this.stats.failed++;
+      this.logFailure(block.id, block.title, error.message);
+      const msg = error.message.includes('empty') 
+        ? `Block ${block.id} returned empty (CDN issue?)`
+        : error.message;
+      return { success: false, error: msg };
+    }
+  }
+
+  saveBlockMetadata(block, filepath, extra = {}) {
+    // A dry run never writes, and must not replace sidecars from earlier runs
+    if (this.dryRun) return;
+    if (!this.includeMetadata && !this.withSources && !this.archiveLinks && !this.deepMetadata) return;
+
+    const metadataPath = filepath.replace(/\.[^.]+$/, '.json');
+    const metadata = {
+      id: block.id,
+      title: block.title,
+      description: block.description,
+      type: block.class,
+      created_at: block.created_at,
+      updated_at: block.updated_at,
+      comment_count: block.comment_count
+    };
+
+    if (this.withSources && block.source) {
+      metadata.source = {
+        title: block.source.title,
+        url: block.source.url
+      };
+    }
+
+    if (block.image) {
+      Object.assign(metadata, this.describeRendition(block));
+      metadata.content_type = block.image.content_type;
+    }
+
+    if (block.attachment) {
+      metadata.attachment_url = block.attachment.url;
+      metadata.content_type = block.attachment.content_type;
+    }
+
+    if (block.embed) {
+      metadata.embed_url = block.embed.url;
+    }
+
+    Object.assign(metadata, extra);
+
+    writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
+  }
+
+  // The channel's description, owner, collaborators, status and so on; blocks are saved separately
+  saveChannelRecord(channelInfo, channelDir) {
+    const { contents, ...record } = channelInfo;
+    writeFileAtomic(path.join(channelDir, CHANNEL_RECORD), JSON.stringify(record, null, 2));
+  }
+
+  // Keeps up to `concurrency` downloads in flight until every block is done
+  async downloadAll(blocks, channelDir) {
+    const startTime = Date.now();
+    const startBytes = this.bytesDownloaded;
+    let completed = 0;
+    let next = 0;
+
+    const reportProgress = () => {
+      const elapsed = (Date.now() - startTime) / 1000 || 0.001;
+      const bytes = this.bytesDownloaded - startBytes;
+      const bytesPerSecond = bytes / elapsed;
+      const remaining = blocks.length - completed;
+
+      // Estimate from the average size of what's been downloaded so far
+      let eta = 0;
+      if (remaining > 0 && this.stats.downloaded > 0 && bytesPerSecond > 0) {
+        eta = Math.round((bytes / this.stats.downloaded) * remaining / bytesPerSecond);
+      } else if (remaining > 0 && completed > 0) {
+        eta = Math.round((elapsed / completed) * remaining);
+      }
+
+      this.publish('progress', {
+        completed,
+        total: blocks.length,
+        bytes,
+        bytesPerSecond,
+        eta,
+        stats: { ...this.stats }
+      });
+    };
+
+    const worker = async () => {
+      while (next < blocks.length) {
+        const block = blocks[next++];
+        await this.downloadBlock(block, channelDir);
+        completed++;
+        reportProgress();
+      }
+    };
+
+    // Refresh speed while large files are still streaming
+    const ticker = setInterval(reportProgress, 500);
+    const workerCount = Math.min(this.concurrency, blocks.length);
+    try {
+      await Promise.all(Array.from({ length: workerCount }, worker));
+    } finally {
+      clearInterval(ticker);
+    }
+  }
+
+  async downloadChannels(channels, channelDir) {
+    for (const channel of channels) {
+      if (this.visited.has(channel.slug)) {
+        this.publish('channel:skipped', { channel: channel.slug, reason: 'visited' });
+        continue;
+      }
+
+      const child = new ArenaDownloader(channel.slug, channelDir, {
+        ...this.options,
+        depth: this.depth + 1,
+        visited: this.visited,
+        rateLimiter: this.rateLimiter,
+        apiLimiter: this.apiLimiter,
+        parent: this
+      });
+
+      try {
+        await child.archive();
+        this.children.push(child);
+      } catch (error) {
+        this.failedChannels.push({ slug: channel.slug, error: error.message });
+        this.publish('channel:failed', { channel: channel.slug, error: error.message });
+      }
+    }
+  }
+
+  // Flatten this channel and every nested channel it visited
+  collectChannels() {
+    return [this, ...this.children.flatMap(child => child.collectChannels())];
+  }
+
+  collectFailedChannels() {
+    return [...this.failedChannels, ...this.children.flatMap(child => child.collectFailedChannels())];
+  }
+
+  // Summary of this channel and every nested channel, as returned by download()
+  getResult() {
+    const channels = this.collectChannels();
+    return {
+      slug: this.slug,
+      dryRun: this.dryRun,
+      stats: sumStats(channels),
+      channels: channels.map(channel => ({
+        slug: channel.slug,
+        title: channel.title,
+        depth: channel.depth,
+        dir: channel.channelDir,
+        stats: { ...channel.stats },
+        failedBlocks: [...channel.failedBlocks]
+      })),
+      failedChannels: this.collectFailedChannels()
+    };
+  }
+
+  async archive() {
+    this.visited.add(this.slug);
+    this.publish('channel:start');
+
+    // Fetch channel info
+    const channelInfo = await this.fetchChannelInfo();
+    this.channelInfo = channelInfo;
+    this.title = channelInfo.title;
+    this.stats.total = channelInfo.length;
+
+    // Create output directory
+    const channelDir = this.channelDir;
+    if (!this.dryRun) {
+      await makeDir(channelDir);
+    }
+    this.publish('channel', {
+      info: channelInfo,
+      title: channelInfo.title,
+      length: channelInfo.length,
+      dir: channelDir,
+      dryRun: this.dryRun
+    });
+    if (this.deepMetadata && !this.dryRun) {
+      this.saveChannelRecord(channelInfo, channelDir);
+    }
+    this.manifest = this.loadManifest(channelDir);
+    this.manifest.title = this.title;
+    // Files from earlier runs keep their names
+    this.reserveChannelFiles();
+    for (const entry of Object.values(this.manifest.blocks)) {
+      this.claimedNames.set(this.nameKey(entry.filename), String(entry.id));
+    }
+
+    // Fetch all blocks
+    const blocks = await this.fetchAllBlocks(channelInfo.length);
+    this.blocks = blocks;
+
+    // Nested channels are followed separately when recursing
+    const channels = this.depth < this.recursive
+      ? blocks.filter(b => this.getBlockType(b) === 'channel')
+      : [];
+    
+    const filteredBlocks = this.filterBlocks(blocks);
+
+    this.matchedBlocks = filteredBlocks;
+    this.stats.filtered = blocks.length - filteredBlocks.length - channels.length;
+    this.publish('blocks', {
+      matched: filteredBlocks.length,
+      filtered: this.stats.filtered,
+      nested: channels.length,
+      filters: this.describeFilters(),
+      dryRun: this.dryRun
+    });
+
+    // Download
+    await this.downloadAll(filteredBlocks, channelDir);
+    this.handleRemovedBlocks(blocks, channelDir, channelInfo.length);
+    this.saveManifest(channelDir);
+
+    if (this.stats.failed > 0) {
+      this.writefailedLog();
+    }
+
+    // Export if requested
+    this.exportList();
+
+    this.publish('channel:done', {
+      title: this.title,
+      dir: channelDir,
+      dryRun: this.dryRun,
+      stats: { ...this.stats },
+      failedBlocks: [...this.failedBlocks],
+      logPath: this.stats.failed > 0 ? this.logPath : null
+    });
+
+    if (channels.length > 0) {
+      this.publish('nested', { channels: channels.map(c => c.slug) });
+      await this.downloadChannels(channels, channelDir);
+    }
+
+    // After nested channels, so the gallery can link to them
+    if (this.html && !this.dryRun) {
+      this.publish('gallery', { path: renderGallery(channelDir, { recursive: false }) });
+    }
+
+    // Nested channels are packaged along with the channel they're in
+    if (this.packageFormat && !this.dryRun && this.depth === 0) {
+      const result = await packageChannel(channelDir, {
+        format: this.packageFormat,
+        slug: this.slug,
+        info: this.channelInfo,
+        outputDir: this.outputDir
+      });
+      this.publish('package', result);
+    }
+  }
+
+  /**
+   * Download the channel (and nested channels when recursing).
+   * Resolves with a summary of every channel visited; rejects if the
+   * channel itself can't be read.
+   */
+  async download() {
+    await this.archive();
+    const result = this.getResult();
+    this.emit('complete', result);
+    return result;
+  }
+}
+
+module.exports = { ArenaDownloader, sumStats };
@@ -0,0 +1,84 @@
+const { EventEmitter } = require('events');
+const { ArenaDownloader, sumStats } = require('./arena-downloader');
+
+/**
+ * Downloads a list of channels, a few at a time.
+ *
+ * Each entry is a slug or `{ slug, dir, blockTypes }`, where `dir` and
+ * `blockTypes` override the shared options for that channel. Emits `batch`,
+ * `channel:failed` and `complete`, plus every event from the channel
+ * downloaders it runs.
+ */
+class BatchDownloader extends EventEmitter {
+  constructor(entries, outputDir, options = {}) {
+    super();
+    this.entries = entries.map(entry => (typeof entry === 'string' ? { slug: entry } : entry));
+    this.outputDir = outputDir;
+    this.options = options;
+    this.parallel = Math.max(1, options.parallel || 1);
+    this.downloaders = [];
+    this.failedChannels = [];
+  }
+
+  publish(event, data = {}) {
+    this.emit(event, { batch: true, ...data });
+  }
+
+  // Called by channel downloaders so their events reach our listeners
+  forward(event, payload) {
+    this.emit(event, payload);
+  }
+
+  getResult() {
+    // Keep the report in list order, however the channels finished
+    const channels = this.downloaders
+      .filter(Boolean)
+      .flatMap(d => d.getResult().channels);
+    return {
+      dryRun: Boolean(this.options.dryRun),
+      stats: sumStats(channels),
+      channels,
+      failedChannels: [
+        ...this.failedChannels,
+        ...this.downloaders.filter(Boolean).flatMap(d => d.collectFailedChannels())
+      ]
+    };
+  }
+
+  async downloadEntry(entry, index) {
+    const options = { ...this.options, parent: this };
+    if (entry.blockTypes) options.blockTypes = entry.blockTypes;
+
+    const downloader = new ArenaDownloader(entry.slug, entry.dir || this.outputDir, options);
+    try {
+      await downloader.archive();
+      this.downloaders[index] = downloader;
+    } catch (error) {
+      this.failedChannels.push({ slug: entry.slug, error: error.message });
+      this.publish('channel:failed', { channel: entry.slug, error: error.message });
+    }
+  }
+
+  /**
+   * Download every channel in the list. A failing channel is reported and
+   * skipped; this never rejects because of one.
+   */
+  async download() {
+    this.publish('batch', { channels: this.entries.map(e => e.slug), parallel: this.parallel });
+
+    let next = 0;
+    const worker = async () => {
+      while (next < this.entries.length) {
+        const index = next++;
+        await this.downloadEntry(this.entries[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.parallel, this.entries.length) }, worker));
+
+    const result = this.getResult();
+    this.emit('complete', result);
+    return result;
+  }
+}
+
+module.exports = { BatchDownloader };
@@ -0,0 +1,34 @@
+const DEFAULT_API_BASE = 'https://api.are.na/v2';
+const PER_PAGE = 100;
+const CONCURRENT_DOWNLOADS = 5;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 3;
+// Pages, comments and connections are requested at most this often from the API
+const API_REQUESTS_PER_SECOND = 10;
+const STATE_DIR = '.arena-dl';
+// Written by --deep-metadata next to the channel's files
+const CHANNEL_RECORD = 'channel.json';
+const MANIFEST_VERSION = 1;
+
+// Are.na block classes mapped to --block-types names
+const BLOCK_TYPES = {
+  Image: 'image',
+  Link: 'link',
+  Media: 'embed',
+  Attachment: 'attachment',
+  Text: 'text',
+  Channel: 'channel'
+};
+
+module.exports = {
+  DEFAULT_API_BASE,
+  PER_PAGE,
+  CONCURRENT_DOWNLOADS,
+  DEFAULT_TIMEOUT,
+  DEFAULT_RETRIES,
+  API_REQUESTS_PER_SECOND,
+  STATE_DIR,
+  CHANNEL_RECORD,
+  MANIFEST_VERSION,
+  BLOCK_TYPES
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+
+const IMAGE_SIZES = ['original', 'large', 'display', 'square', 'thumb'];
+const CONVERT_FORMATS = ['webp', 'avif', 'jpeg', 'png'];
+const DEFAULT_QUALITY = 80;
+
+// sharp ships prebuilt binaries, so conversion works offline once installed
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    throw new Error('Image conversion needs the optional "sharp" package. Install it with: npm install sharp');
+  }
+}
+
+function getConvertExtension(format) {
+  return format === 'jpeg' ? 'jpg' : format;
+}
+
+// Short label stored in the manifest so changed settings trigger a re-download
+function describeConversion({ format, quality = DEFAULT_QUALITY, maxDimension }) {
+  return [format, format === 'png' ? null : `q${quality}`, maxDimension ? `max${maxDimension}` : null]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Convert the image at `source` and write it atomically to `target`.
+ * Images are turned upright from their EXIF orientation and only ever
+ * scaled down.
+ */
+async function convertImage(source, target, { format, quality = DEFAULT_QUALITY, maxDimension }) {
+  const sharp = loadSharp();
+  // Keep GIF animation where the output format can hold it
+  let image = sharp(source, { animated: format === 'webp' }).rotate();
+
+  if (maxDimension) {
+    image = image.resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+  image = image.toFormat(format, format === 'png' ? {} : { quality });
+
+  const tempPath = `${target}.part`;
+  try {
+    await image.toFile(tempPath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    throw new Error(`Could not convert to ${format}: ${error.message}`);
+  }
+  fs.renameSync(tempPath, target);
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  CONVERT_FORMATS,
+  DEFAULT_QUALITY,
+  loadSharp,
+  getConvertExtension,
+  describeConversion,
+  convertImage
+};
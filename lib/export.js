@@ -0,0 +1,99 @@
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'raw'];
+
+const COLUMNS = [
+  'id',
+  'class',
+  'title',
+  'description',
+  'source_url',
+  'content_url',
+  'author',
+  'created_at',
+  'connected_at',
+  'updated_at',
+  'status',
+  'file',
+  'downloaded_at'
+];
+
+// Quote a field per RFC 4180 when it contains a delimiter, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, columns = COLUMNS) {
+  const lines = [columns.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+// URL of the thing a block archives, whatever its type
+function getContentUrl(block) {
+  if (block.attachment) return block.attachment.url;
+  if (block.embed && block.embed.url) return block.embed.url;
+  if (block.image) return block.image.original.url;
+  return null;
+}
+
+function getAuthor(block) {
+  if (!block.user) return null;
+  return block.user.full_name || block.user.username || block.user.slug || null;
+}
+
+/**
+ * One export row per block.
+ * `status` is downloaded, existing, failed, no-content or planned (dry-run).
+ */
+function blockRow(block, { status, file, downloadedAt }) {
+  return {
+    id: block.id,
+    class: block.class,
+    title: block.title || null,
+    description: block.description || null,
+    source_url: (block.source && block.source.url) || null,
+    content_url: getContentUrl(block),
+    author: getAuthor(block),
+    created_at: block.created_at || null,
+    connected_at: block.connected_at || null,
+    updated_at: block.updated_at || null,
+    status,
+    file: file || null,
+    downloaded_at: downloadedAt || null
+  };
+}
+
+// Serialize rows (or the raw API data for `raw`) in the given format
+function formatExport(format, rows, raw) {
+  switch (format) {
+    case 'csv':
+      return toCsv(rows);
+    case 'ndjson':
+      return toNdjson(rows);
+    case 'raw':
+      return JSON.stringify(raw, null, 2);
+    default:
+      return JSON.stringify(rows, null, 2);
+  }
+}
+
+function getExportFilename(slug, format) {
+  return format === 'raw' ? `${slug}-raw.json` : `${slug}-list.${format}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  COLUMNS,
+  csvField,
+  toCsv,
+  blockRow,
+  formatExport,
+  getExportFilename
+};
@@ -0,0 +1,122 @@
+const parameterize = require('parameterize');
+const { STATE_DIR } = require('./constants');
+
+const DEFAULT_TEMPLATE = '{id}_{title}.{ext}';
+
+// Folder prefixes for --layout
+const LAYOUTS = {
+  flat: '',
+  type: '{class}/',
+  month: '{created:YYYY-MM}/'
+};
+
+const SAMPLE_BLOCK = {
+  id: 1,
+  class: 'Image',
+  title: 'Sample',
+  position: 1,
+  created_at: '2024-01-01T00:00:00Z',
+  user: { slug: 'sample' }
+};
+
+function pad(value, width = 2) {
+  return String(value).padStart(width, '0');
+}
+
+function formatDate(value, format = 'YYYY-MM-DD') {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return 'undated';
+
+  const parts = {
+    YYYY: date.getUTCFullYear(),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+// Keep a token's value inside a single path segment
+function cleanSegment(value) {
+  return String(value)
+    .replace(/[/\\:*?"<>|\x00-\x1f]/g, '-')
+    .replace(/^\.+/, '')
+    .trim();
+}
+
+function tokenValue(name, arg, block, ext) {
+  switch (name) {
+    case 'id':
+      return block.id;
+    case 'title':
+      return (block.title && parameterize(block.title)) || block.id;
+    case 'position':
+      return block.position === undefined || block.position === null
+        ? ''
+        : pad(block.position, Number(arg) || 0);
+    case 'created':
+      return formatDate(block.created_at, arg);
+    case 'connected':
+      return formatDate(block.connected_at || block.created_at, arg);
+    case 'user': {
+      const user = block.user || {};
+      return parameterize(user.slug || user.username || '') || 'unknown';
+    }
+    case 'class':
+      return parameterize(block.class || '') || 'block';
+    case 'ext':
+      return ext;
+    default:
+      throw new Error(`Unknown filename token {${name}}`);
+  }
+}
+
+/**
+ * Combine a filename template with a folder layout. Templates without
+ * {ext} get it appended so saved files keep a usable extension.
+ */
+function buildTemplate(template = DEFAULT_TEMPLATE, layout = 'flat') {
+  if (!(layout in LAYOUTS)) {
+    throw new Error(`Unknown layout "${layout}" (use ${Object.keys(LAYOUTS).join(', ')})`);
+  }
+  const withExt = template.includes('{ext}') ? template : `${template}.{ext}`;
+  const full = LAYOUTS[layout] + withExt;
+  // Fail on bad tokens or paths now rather than halfway through a download
+  renderFilename(full, SAMPLE_BLOCK, 'jpg');
+  return full;
+}
+
+/**
+ * Fill in a template for one block. Returns a relative path using `/`,
+ * which never leaves the channel folder.
+ */
+function renderFilename(template, block, ext) {
+  const rendered = template.replace(/\{(\w+)(?::([^}]+))?\}/g, (match, name, arg) =>
+    cleanSegment(tokenValue(name, arg, block, ext))
+  );
+
+  if (/^([/\\]|[a-zA-Z]:)/.test(rendered)) {
+    throw new Error(`Filename template "${template}" must be a relative path`);
+  }
+  const segments = rendered.split(/[/\\]/).filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new Error(`Filename template "${template}" must stay inside the channel folder`);
+  }
+  if (segments[0] === STATE_DIR) {
+    throw new Error(`Filename template "${template}" can't write into ${STATE_DIR}`);
+  }
+  // Tokens with nothing to say (no position, say) mustn't leave a bare extension
+  const last = segments.pop() || '';
+  segments.push(/^[^.]/.test(last) ? last : `${block.id}${last}`);
+  return segments.join('/');
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  LAYOUTS,
+  formatDate,
+  buildTemplate,
+  renderFilename
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Write to a temp file first so an interrupted run never leaves a partial file
+function writeFileAtomic(filepath, data) {
+  const tempPath = `${filepath}.part`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filepath);
+}
+
+function hashData(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hashFile(filepath) {
+  return hashData(fs.readFileSync(filepath));
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  writeFileAtomic,
+  hashData,
+  hashFile,
+  escapeHtml
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime');
+const { STATE_DIR, BLOCK_TYPES } = require('./constants');
+const { writeFileAtomic, escapeHtml } = require('./files');
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Helvetica Neue", Arial, sans-serif; margin: 0; padding: 2rem; color: #222; background: #fafafa; }
+  header { margin-bottom: 2rem; }
+  h1 { margin: 0 0 .25rem; font-size: 1.6rem; }
+  .meta { color: #888; font-size: .85rem; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 1.5rem; }
+  .block { background: #fff; border: 1px solid #e5e5e5; padding: .75rem; display: flex; flex-direction: column; gap: .5rem; overflow: hidden; }
+  .block img { width: 100%; height: 240px; object-fit: contain; background: #f0f0f0; }
+  .block h2 { font-size: .95rem; margin: 0; word-break: break-word; }
+  .text { white-space: pre-wrap; font-size: .85rem; max-height: 240px; overflow: auto; background: #f7f7f2; padding: .5rem; margin: 0; }
+  .file { display: flex; align-items: center; justify-content: center; height: 240px; background: #f0f0f0; font-size: 1.5rem; color: #888; text-decoration: none; }
+  .description { font-size: .85rem; color: #444; white-space: pre-wrap; }
+  .channels { margin-bottom: 2rem; }
+`;
+
+function readJson(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+// Work out what kind of block a saved file came from when the manifest can't say
+function guessType(filename) {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (ext === 'md') return 'text';
+  if (ext === 'html') return 'embed';
+  const type = mime.getType(ext) || '';
+  return type.startsWith('image/') ? 'image' : 'attachment';
+}
+
+// Saved blocks in a channel folder, with whatever we know about each one
+function collectBlocks(channelDir, manifest) {
+  const files = new Map();
+
+  // Blocks the manifest knows about, wherever the filename template put them
+  for (const entry of Object.values(manifest ? manifest.blocks : {})) {
+    if (fs.existsSync(path.join(channelDir, entry.filename))) {
+      files.set(entry.filename, entry);
+    }
+  }
+
+  // Files saved before the manifest existed
+  fs.readdirSync(channelDir)
+    .filter(file => /^\d+_/.test(file) && !files.has(file))
+    .filter(file => !file.endsWith('.json') && !file.endsWith('.part') && !/_(thumb|page)\.[^.]+$/.test(file))
+    .forEach(file => files.set(file, { id: file.split('_')[0] }));
+
+  return [...files]
+    .map(([file, entry]) => {
+      const id = entry.id;
+      const sidecar = readJson(path.join(channelDir, file.replace(/\.[^.]+$/, '.json'))) || {};
+      const type = BLOCK_TYPES[entry.class || sidecar.type] || guessType(file);
+
+      return {
+        id: Number(id),
+        file,
+        type,
+        title: entry.title || sidecar.title || '',
+        description: entry.description || sidecar.description || '',
+        sourceUrl: entry.source_url || (sidecar.source && sidecar.source.url) || '',
+        date: entry.created_at || sidecar.created_at || '',
+        snapshot: sidecar.link_archive && sidecar.link_archive.file
+          ? path.posix.join(path.posix.dirname(file), sidecar.link_archive.file)
+          : '',
+        position: entry.position
+      };
+    })
+    .sort((a, b) => {
+      if (a.position !== undefined && b.position !== undefined) return a.position - b.position;
+      return b.id - a.id;
+    });
+}
+
+function renderPreview(block, channelDir) {
+  const href = encodeURI(block.file);
+  const alt = escapeHtml(block.title || block.file);
+
+  switch (block.type) {
+    case 'text':
+      return `<pre class="text">${escapeHtml(fs.readFileSync(path.join(channelDir, block.file), 'utf8'))}</pre>`;
+    case 'embed': {
+      const folder = path.posix.dirname(block.file);
+      const base = path.posix.basename(block.file).replace(/\.html$/, '');
+      const thumb = fs.readdirSync(path.join(channelDir, folder)).find(f => f.startsWith(`${base}_thumb.`));
+      return thumb
+        ? `<a href="${href}"><img src="${encodeURI(path.posix.join(folder, thumb))}" alt="${alt}" loading="lazy"></a>`
+        : `<a class="file" href="${href}">▶</a>`;
+    }
+    case 'attachment':
+      return `<a class="file" href="${href}">${escapeHtml(path.extname(block.file).slice(1).toUpperCase())}</a>`;
+    default:
+      return `<a href="${href}"><img src="${href}" alt="${alt}" loading="lazy"></a>`;
+  }
+}
+
+function renderBlock(block, channelDir) {
+  const parts = [`<article class="block" id="block-${block.id}">`, renderPreview(block, channelDir)];
+
+  parts.push(`<h2>${escapeHtml(block.title || block.file)}</h2>`);
+  if (block.description) {
+    parts.push(`<div class="description">${escapeHtml(block.description)}</div>`);
+  }
+  const meta = [];
+  if (block.date) meta.push(escapeHtml(formatDate(block.date)));
+  if (block.sourceUrl) meta.push(`<a href="${escapeHtml(block.sourceUrl)}">Source</a>`);
+  if (block.snapshot) meta.push(`<a href="${encodeURI(block.snapshot)}">Snapshot</a>`);
+  if (meta.length > 0) {
+    parts.push(`<div class="meta">${meta.join(' · ')}</div>`);
+  }
+  parts.push('</article>');
+
+  return parts.join('\n');
+}
+
+// Nested channel folders that have their own gallery or manifest
+function collectChannels(channelDir) {
+  return fs.readdirSync(channelDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== STATE_DIR)
+    .filter(entry => fs.existsSync(path.join(channelDir, entry.name, STATE_DIR, 'manifest.json')))
+    .map(entry => {
+      const manifest = readJson(path.join(channelDir, entry.name, STATE_DIR, 'manifest.json')) || {};
+      return { slug: entry.name, title: manifest.title || entry.name };
+    });
+}
+
+/**
+ * Build a self-contained index.html for a downloaded channel folder.
+ * Only reads local files, so it works on archives without network access.
+ */
+function renderGallery(channelDir, { recursive = true } = {}) {
+  if (!fs.existsSync(channelDir)) {
+    throw new Error(`Folder "${channelDir}" does not exist.`);
+  }
+
+  const manifest = readJson(path.join(channelDir, STATE_DIR, 'manifest.json'));
+  const title = (manifest && manifest.title) || path.basename(path.resolve(channelDir));
+  const blocks = collectBlocks(channelDir, manifest);
+  const channels = collectChannels(channelDir);
+
+  if (recursive) {
+    channels.forEach(channel => renderGallery(path.join(channelDir, channel.slug)));
+  }
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLES}</style>`,
+    '</head>',
+    '<body>',
+    '<header>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<div class="meta">${blocks.length} block${blocks.length !== 1 ? 's' : ''}${manifest && manifest.synced_at ? ` · archived ${escapeHtml(formatDate(manifest.synced_at))}` : ''}</div>`,
+    '</header>'
+  ];
+
+  if (channels.length > 0) {
+    html.push('<nav class="channels">');
+    html.push(channels.map(c => `<a href="${encodeURI(c.slug)}/index.html">${escapeHtml(c.title)}</a>`).join(' · '));
+    html.push('</nav>');
+  }
+
+  html.push('<main class="grid">');
+  blocks.forEach(block => html.push(renderBlock(block, channelDir)));
+  html.push('</main>', '</body>', '</html>', '');
+
+  const indexPath = path.join(channelDir, 'index.html');
+  writeFileAtomic(indexPath, html.join('\n'));
+  return indexPath;
+}
+
+module.exports = { renderGallery };
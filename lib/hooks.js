@@ -0,0 +1,37 @@
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { DEFAULT_TIMEOUT } = require('./constants');
+
+function isUrl(target) {
+  return /^https?:\/\//i.test(target);
+}
+
+// Pipe the payload to a shell command as JSON on stdin. Its output goes to
+// stderr so it can't end up in the --json event stream
+function runCommand(command, payload) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ['pipe', process.stderr, 'inherit'] });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`"${command}" exited with code ${code}`));
+    });
+    // The command may not read stdin at all
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Hand a JSON payload to a hook: POSTed when the target is an http(s) URL,
+ * otherwise written to the stdin of a shell command.
+ */
+async function runHook(target, payload, { timeout = DEFAULT_TIMEOUT } = {}) {
+  if (isUrl(target)) {
+    await axios.post(target, payload, { timeout });
+  } else {
+    await runCommand(target, payload);
+  }
+}
+
+module.exports = { runHook };
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const mime = require('mime');
+const { BROWSER_HEADERS } = require('./request');
+
+const ARCHIVE_FORMATS = ['html', 'warc'];
+
+// Skip stylesheets, images and fonts bigger than this when inlining
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+// Pages and WARCs are built in memory, so bigger ones aren't archived
+const MAX_PAGE_BYTES = 50 * 1024 * 1024;
+
+const PAGE_HEADERS = {
+  ...BROWSER_HEADERS,
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Sec-Fetch-Dest': 'document',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-Site': 'cross-site'
+};
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return (match[1] ?? match[2] ?? match[3]).replace(/&amp;/g, '&');
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getContentType(response, url) {
+  const header = response.headers['content-type'];
+  if (header) return header.split(';')[0].trim().toLowerCase();
+  return mime.getType(new URL(url).pathname) || 'application/octet-stream';
+}
+
+// Charset from the Content-Type header, then <meta>, then UTF-8
+function decodeHtml(body, contentTypeHeader = '') {
+  const sniffed = body.subarray(0, 2048).toString('latin1');
+  const charset = (contentTypeHeader.match(/charset=([\w-]+)/i) || sniffed.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(body);
+  } catch (error) {
+    return body.toString('utf8');
+  }
+}
+
+/**
+ * Replace every match of `pattern` with the result of an async function,
+ * one at a time so assets are fetched in document order.
+ */
+async function replaceAsync(text, pattern, replacer) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    parts.push(text.slice(last, match.index), await replacer(...match));
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts.join('');
+}
+
+/**
+ * Turn a page into a single self-contained file: scripts are dropped,
+ * stylesheets inlined and images, fonts and CSS backgrounds embedded as
+ * data URIs. Assets that can't be fetched keep their absolute URL.
+ */
+async function inlineAssets(html, pageUrl, get) {
+  const cache = new Map();
+
+  const fetchAsset = async (url) => {
+    if (!cache.has(url)) {
+      cache.set(url, get(url, { maxContentLength: MAX_ASSET_BYTES })
+        .then(response => (response.status < 400 ? response : null))
+        .catch(() => null));
+    }
+    return cache.get(url);
+  };
+
+  const dataUri = async (href, baseUrl) => {
+    if (!href || href.startsWith('data:')) return href;
+    const url = resolveUrl(href, baseUrl);
+    if (!url) return href;
+    const response = await fetchAsset(url);
+    if (!response) return url;
+    return `data:${getContentType(response, url)};base64,${Buffer.from(response.data).toString('base64')}`;
+  };
+
+  const inlineCss = (css, baseUrl) => replaceAsync(css, /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, async (match, quote, href) =>
+    `url("${await dataUri(href.trim(), baseUrl)}")`
+  );
+
+  let result = html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script\s*>/gi, '')
+    .replace(/<script\b[^>]*\/>/gi, '')
+    .replace(/<meta[^>]+charset[^>]*>/gi, '<meta charset="utf-8">');
+
+  result = await replaceAsync(result, /<link\b[^>]*>/gi, async (tag) => {
+    const rel = (getAttribute(tag, 'rel') || '').toLowerCase().split(/\s+/);
+    if (rel.includes('preload') || rel.includes('modulepreload') || rel.includes('prefetch')) return '';
+    if (!rel.includes('stylesheet')) return tag;
+    const url = resolveUrl(getAttribute(tag, 'href') || '', pageUrl);
+    const response = url && await fetchAsset(url);
+    if (!response) return tag;
+    const css = await inlineCss(decodeHtml(Buffer.from(response.data), response.headers['content-type']), url);
+    return `<style>\n${css}\n</style>`;
+  });
+
+  result = await replaceAsync(result, /(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)/gi, async (match, open, css, close) =>
+    `${open}${await inlineCss(css, pageUrl)}${close}`
+  );
+
+  result = await replaceAsync(result, /<(img|source|input)\b[^>]*>/gi, async (tag) => {
+    const src = getAttribute(tag, 'src');
+    const cleaned = tag.replace(/\s(srcset|sizes|loading)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+    if (!src) return cleaned;
+    const inlined = await dataUri(src, pageUrl);
+    return cleaned.replace(/(\ssrc\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/i, `$1"${inlined}"`);
+  });
+
+  // Links and forms still point at the live site
+  if (!/<base\b/i.test(result)) {
+    const base = `<base href="${pageUrl.replace(/"/g, '&quot;')}">`;
+    result = /<head\b[^>]*>/i.test(result)
+      ? result.replace(/<head\b[^>]*>/i, head => `${head}\n${base}`)
+      : `${base}\n${result}`;
+  }
+
+  return `<!-- Archived from ${pageUrl.replace(/--/g, '%2D%2D')} on ${new Date().toISOString()} by arena-dl -->\n${result}`;
+}
+
+function warcDate(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function warcRecord(headers, content) {
+  const head = [
+    'WARC/1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    `Content-Length: ${content.length}`,
+    '',
+    ''
+  ].join('\r\n');
+  return Buffer.concat([Buffer.from(head), content, Buffer.from('\r\n\r\n')]);
+}
+
+/**
+ * A WARC/1.0 file holding the warcinfo, request and response records for
+ * one page. The body is stored as it arrived, still compressed if it was.
+ */
+function buildWarc({ url, status, statusText, headers, body, filename }) {
+  const date = warcDate();
+  const target = new URL(url);
+  const requestHeaders = { Host: target.host, ...PAGE_HEADERS };
+
+  const info = Buffer.from([
+    'software: arena-dl',
+    'format: WARC File Format 1.0',
+    `isPartOf: ${filename}`,
+    ''
+  ].join('\r\n'));
+
+  const request = Buffer.from([
+    `GET ${target.pathname}${target.search} HTTP/1.1`,
+    ...Object.entries(requestHeaders).map(([name, value]) => `${name}: ${value}`),
+    '',
+    ''
+  ].join('\r\n'));
+
+  // The body has already been de-chunked, so describe it by length
+  const responseHeaders = Object.entries(headers)
+    .filter(([name]) => !['transfer-encoding', 'content-length'].includes(name.toLowerCase()))
+    .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  const response = Buffer.concat([
+    Buffer.from([
+      `HTTP/1.1 ${status} ${statusText || ''}`.trim(),
+      ...responseHeaders,
+      `Content-Length: ${body.length}`,
+      '',
+      ''
+    ].join('\r\n')),
+    body
+  ]);
+
+  const id = () => `<urn:uuid:${crypto.randomUUID()}>`;
+  const responseId = id();
+  return Buffer.concat([
+    warcRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Date': date,
+      'WARC-Record-ID': id(),
+      'WARC-Filename': filename,
+      'Content-Type': 'application/warc-fields'
+    }, info),
+    warcRecord({
+      'WARC-Type': 'request',
+      'WARC-Target-URI': url,
+      'WARC-Date': date,
+      'WARC-Record-ID': id(),
+      'WARC-Concurrent-To': responseId,
+      'Content-Type': 'application/http; msgtype=request'
+    }, request),
+    warcRecord({
+      'WARC-Type': 'response',
+      'WARC-Target-URI': url,
+      'WARC-Date': date,
+      'WARC-Record-ID': responseId,
+      'Content-Type': 'application/http; msgtype=response'
+    }, response)
+  ]);
+}
+
+// Read a streamed body into memory, giving up past `limit` bytes
+async function readBody(stream, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > limit) {
+      stream.destroy();
+      throw new Error(`Page is larger than ${limit / 1024 / 1024} MB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Where a request ended up after redirects
+function getFinalUrl(response, url) {
+  return (response.request && response.request.res && response.request.res.responseUrl) || url;
+}
+
+/**
+ * Fetch a page and build its archived form. `get(url, options)` performs
+ * the request with the caller's retry, timeout and rate limiting.
+ * Resolves with { status, finalUrl, ext, data }, where data is null when
+ * the server answered with an error. Files that aren't HTML come back as
+ * `stream` instead of `data`, so large ones never sit in memory.
+ */
+async function archivePage(url, { format = 'html', get, filename }) {
+  const response = await get(url, { headers: PAGE_HEADERS, decompress: format !== 'warc', responseType: 'stream' });
+  const status = response.status;
+  const finalUrl = getFinalUrl(response, url);
+
+  if (format === 'warc') {
+    const body = await readBody(response.data, MAX_PAGE_BYTES);
+    return {
+      status,
+      finalUrl,
+      ext: 'warc',
+      data: buildWarc({ url: finalUrl, status, statusText: response.statusText, headers: response.headers, body, filename })
+    };
+  }
+
+  if (status >= 400) {
+    response.data.destroy();
+    return { status, finalUrl, ext: null, data: null };
+  }
+
+  const contentType = getContentType(response, finalUrl);
+  if (contentType !== 'text/html' && contentType !== 'application/xhtml+xml') {
+    // PDFs and other files are kept as they are
+    return { status, finalUrl, ext: mime.getExtension(contentType) || 'bin', stream: response.data };
+  }
+
+  const html = decodeHtml(await readBody(response.data, MAX_PAGE_BYTES), response.headers['content-type']);
+  return { status, finalUrl, ext: 'html', data: await inlineAssets(html, finalUrl, get) };
+}
+
+module.exports = { ARCHIVE_FORMATS, archivePage, inlineAssets, buildWarc };
@@ -0,0 +1,468 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline, Readable } = require('stream');
+const { promisify } = require('util');
+const { STATE_DIR } = require('./constants');
+const { hashFile } = require('./files');
+const { version } = require('../package.json');
+
+const pipe = promisify(pipeline);
+
+const PACKAGE_FORMATS = ['bagit', 'tar', 'zip'];
+
+// Remembers file hashes between runs so unchanged files aren't read again
+const CACHE_FILE = 'package-cache.json';
+
+// Internal files that never belong in a package
+function isPayloadFile(name) {
+  return !name.endsWith('.part') && !/^\.arena-dl-.+\.log$/.test(name);
+}
+
+// Every file in the channel folder, nested channels included
+function listPayload(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === STATE_DIR || entry.name === '.arena-dl-store') continue;
+      files.push(...listPayload(fullPath, rel));
+    } else if (isPayloadFile(entry.name) && fs.statSync(fullPath).isFile()) {
+      files.push(rel);
+    }
+  }
+  return files.sort();
+}
+
+function readCache(cachePath) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (error) {
+    return { files: {} };
+  }
+}
+
+function hashPayload(channelDir, files, cache) {
+  const hashes = {};
+  const payload = files.map(file => {
+    const filepath = path.join(channelDir, file);
+    const stat = fs.statSync(filepath);
+    const cached = cache.files[file];
+    const sha256 = cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs
+      ? cached.sha256
+      : hashFile(filepath);
+    hashes[file] = { size: stat.size, mtimeMs: stat.mtimeMs, sha256 };
+    return { file, size: stat.size, mtime: stat.mtime, sha256 };
+  });
+  cache.files = hashes;
+  return payload;
+}
+
+// Manifest paths escape the characters BagIt treats as line breaks
+function manifestPath(file) {
+  return file.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function tagValue(value) {
+  return String(value).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+function getOwner(info) {
+  if (info.user) return info.user.full_name || info.user.username || info.user.slug;
+  return info.owner_slug || null;
+}
+
+function buildBagInfo(info, slug, payload, capturedAt) {
+  const bytes = payload.reduce((sum, entry) => sum + entry.size, 0);
+  const ownerSlug = (info.user && info.user.slug) || info.owner_slug;
+  const description = info.metadata && info.metadata.description;
+  const fields = [
+    ['Source-Organization', 'Are.na'],
+    ['External-Identifier', ownerSlug ? `https://www.are.na/${ownerSlug}/${slug}` : slug],
+    ['External-Description', description],
+    ['Channel-Title', info.title],
+    ['Channel-Slug', slug],
+    ['Channel-Owner', getOwner(info)],
+    ['Channel-Block-Count', info.length],
+    ['Capture-Date', capturedAt.toISOString()],
+    ['Bagging-Date', capturedAt.toISOString().slice(0, 10)],
+    ['Bag-Software-Agent', `arena-dl ${version}`],
+    ['Payload-Oxum', `${bytes}.${payload.length}`]
+  ];
+  return fields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}: ${tagValue(value)}\n`)
+    .join('');
+}
+
+/**
+ * The tag files of a BagIt 1.0 bag, in the order they're written.
+ * Returns [name, Buffer] pairs ending with the tag manifest.
+ */
+function buildTagFiles(info, slug, payload, capturedAt) {
+  const tags = [
+    ['bagit.txt', 'BagIt-Version: 1.0\nTag-File-Character-Encoding: UTF-8\n'],
+    ['bag-info.txt', buildBagInfo(info, slug, payload, capturedAt)],
+    ['manifest-sha256.txt', payload.map(entry => `${entry.sha256}  data/${manifestPath(entry.file)}\n`).join('')]
+  ].map(([name, text]) => [name, Buffer.from(text)]);
+
+  const tagManifest = tags
+    .map(([name, data]) => `${crypto.createHash('sha256').update(data).digest('hex')}  ${name}\n`)
+    .join('');
+  return [...tags, ['tagmanifest-sha256.txt', Buffer.from(tagManifest)]];
+}
+
+// What the package holds, leaving out the dates, to tell whether it needs rebuilding
+function fingerprint(tags) {
+  const hash = crypto.createHash('sha256');
+  for (const [name, data] of tags) {
+    if (name === 'tagmanifest-sha256.txt') continue;
+    const text = name === 'bag-info.txt'
+      ? data.toString().replace(/^(Capture-Date|Bagging-Date):.*\n/gm, '')
+      : data;
+    hash.update(name).update(text);
+  }
+  return hash.digest('hex');
+}
+
+function removeEmptyDirs(dir, root) {
+  while (dir !== root && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+// Copy payload files into data/ and only touch what changed. Copies, not
+// links, so later downloads into the channel folder can't alter the bag
+function writeBagDir(bagDir, channelDir, payload, tags) {
+  const dataDir = path.join(bagDir, 'data');
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const wanted = new Set(payload.map(entry => entry.file));
+  for (const file of listPayload(dataDir)) {
+    if (wanted.has(file)) continue;
+    fs.unlinkSync(path.join(dataDir, file));
+    removeEmptyDirs(path.dirname(path.join(dataDir, file)), dataDir);
+  }
+
+  for (const entry of payload) {
+    const source = path.join(channelDir, entry.file);
+    const target = path.join(dataDir, entry.file);
+    if (fs.existsSync(target)) {
+      const existing = fs.statSync(target);
+      const original = fs.statSync(source);
+      // Bags written by older versions hard-linked their files
+      const shared = existing.ino === original.ino && existing.dev === original.dev;
+      // Copies keep the mtime to the millisecond
+      const sameTime = Math.floor(existing.mtimeMs) === Math.floor(original.mtimeMs);
+      if (!shared && existing.size === original.size && sameTime) continue;
+      fs.unlinkSync(target);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    // Copy-on-write clone where the filesystem supports it
+    fs.copyFileSync(source, target, fs.constants.COPYFILE_FICLONE);
+    fs.utimesSync(target, entry.mtime, entry.mtime);
+  }
+
+  for (const [name, data] of tags) {
+    fs.writeFileSync(path.join(bagDir, name), data);
+  }
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'latin1');
+}
+
+// A pax extended header carrying values too long for the ustar fields
+function paxHeader(fields) {
+  const body = Object.entries(fields).map(([key, value]) => {
+    const record = ` ${key}=${value}\n`;
+    // Each record starts with its own length, digits included
+    const size = Buffer.byteLength(record);
+    let length = size + String(size).length;
+    if (String(length).length > String(size).length) length++;
+    return `${length}${record}`;
+  }).join('');
+  return Buffer.from(body);
+}
+
+// ustar keeps up to 155 bytes of directories apart from a 100 byte name
+function splitTarName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+  for (let cut = name.indexOf('/'); cut > 0; cut = name.indexOf('/', cut + 1)) {
+    const prefix = name.slice(0, cut);
+    const rest = name.slice(cut + 1);
+    if (Buffer.byteLength(prefix) > 155) break;
+    if (Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+  }
+  return null;
+}
+
+function tarHeader({ prefix, name }, size, mtime, type = '0') {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, Math.min(size, 0o77777777777), 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  header.write(type, 156, 1, 'latin1');
+  header.write('ustar\0' + '00', 257, 8, 'latin1');
+  header.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'latin1');
+  return header;
+}
+
+// Names and sizes that don't fit ustar go in a pax header first
+function tarEntryHeaders(name, size, mtime) {
+  const split = splitTarName(name);
+  const pax = {};
+  if (!split) pax.path = name;
+  if (size > 0o77777777777) pax.size = size;
+  if (Object.keys(pax).length === 0) return [tarHeader(split, size, mtime)];
+
+  const body = paxHeader(pax);
+  // Readers without pax support still get the file, under a shortened name
+  const fallback = split || { prefix: '', name: path.posix.basename(name).slice(-100) };
+  return [
+    tarHeader({ prefix: '', name: 'PaxHeader' }, body.length, mtime, 'x'),
+    padBlock(body),
+    tarHeader(fallback, size, mtime)
+  ];
+}
+
+function padBlock(data) {
+  const padding = (512 - (data.length % 512)) % 512;
+  return Buffer.concat([data, Buffer.alloc(padding)]);
+}
+
+async function writeTar(target, root, channelDir, payload, tags) {
+  const gzip = zlib.createGzip();
+  const done = pipe(gzip, fs.createWriteStream(target));
+  // Racing every write against `done` hands output errors (EACCES, ENOSPC) to the caller
+  const write = (chunk) => Promise.race([done, new Promise(resolve => {
+    if (gzip.write(chunk)) resolve();
+    else gzip.once('drain', resolve);
+  })]);
+
+  try {
+    const now = new Date();
+    for (const [name, data] of tags) {
+      for (const header of tarEntryHeaders(`${root}/${name}`, data.length, now)) await write(header);
+      await write(padBlock(data));
+    }
+    for (const entry of payload) {
+      for (const header of tarEntryHeaders(`${root}/data/${entry.file}`, entry.size, entry.mtime)) await write(header);
+      for await (const chunk of fs.createReadStream(path.join(channelDir, entry.file))) await write(chunk);
+      const padding = (512 - (entry.size % 512)) % 512;
+      if (padding > 0) await write(Buffer.alloc(padding));
+    }
+  } catch (error) {
+    gzip.destroy();
+    await done.catch(() => {});
+    throw error;
+  }
+  // Two empty blocks end the archive
+  gzip.end(Buffer.alloc(1024));
+  await done;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Zip64 isn't supported, so zips stop at 4 GB and 65535 files
+const ZIP_LIMIT = 0xffffffff;
+
+async function writeZip(target, root, channelDir, payload, tags) {
+  const count = payload.length + tags.length;
+  if (count > 0xffff) {
+    throw new Error('Too many files for a zip package, use --package tar instead');
+  }
+  // Entries are never stored larger than they are, so this is the most the zip can need
+  const entries = [
+    ...tags.map(([name, data]) => ({ name: `${root}/${name}`, size: data.length })),
+    ...payload.map(entry => ({ name: `${root}/data/${entry.file}`, size: entry.size }))
+  ];
+  const needed = entries.reduce((sum, entry) => sum + 30 + Buffer.byteLength(entry.name) + entry.size, 0);
+  if (needed > ZIP_LIMIT) {
+    throw new Error('Package is too large for a zip file, use --package tar instead');
+  }
+
+  const handle = await fs.promises.open(target, 'w');
+  const central = [];
+  let offset = 0;
+
+  // Streams the data to `position`, so large files are never held in memory
+  const writeData = async (open, position, compress) => {
+    let crc = 0;
+    let size = 0;
+    let length = 0;
+    await pipe(
+      open(),
+      async function* (source) {
+        for await (const chunk of source) {
+          crc = crc32(chunk, crc);
+          size += chunk.length;
+          yield chunk;
+        }
+      },
+      ...(compress ? [zlib.createDeflateRaw()] : []),
+      async (source) => {
+        for await (const chunk of source) {
+          await handle.write(chunk, 0, chunk.length, position + length);
+          length += chunk.length;
+        }
+      }
+    );
+    return { crc, size, length };
+  };
+
+  const addEntry = async (name, open, mtime) => {
+    const nameBuffer = Buffer.from(name);
+    const dataStart = offset + 30 + nameBuffer.length;
+    let method = 8;
+    let { crc, size, length } = await writeData(open, dataStart, true);
+    // Images rarely shrink, so keep them as they are
+    if (length >= size) {
+      method = 0;
+      ({ crc, size, length } = await writeData(open, dataStart, false));
+    }
+    const { time, day } = dosDateTime(mtime);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);  // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 20, 4);  // Made on Unix, so permissions survive
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(length, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBuffer);
+
+    await handle.write(Buffer.concat([local, nameBuffer]), 0, local.length + nameBuffer.length, offset);
+    offset = dataStart + length;
+  };
+
+  try {
+    const now = new Date();
+    for (const [name, data] of tags) await addEntry(`${root}/${name}`, () => Readable.from([data]), now);
+    for (const entry of payload) {
+      const filepath = path.join(channelDir, entry.file);
+      await addEntry(`${root}/data/${entry.file}`, () => fs.createReadStream(filepath), entry.mtime);
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(count, 8);
+    end.writeUInt16LE(count, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    const tail = Buffer.concat([directory, end]);
+    await handle.write(tail, 0, tail.length, offset);
+    // Drops whatever a compressed attempt left past the end
+    await handle.truncate(offset + tail.length);
+  } finally {
+    await handle.close();
+  }
+}
+
+function getPackagePath(outputDir, slug, format) {
+  const base = path.join(outputDir, `${slug}-bag`);
+  if (format === 'tar') return `${base}.tar.gz`;
+  if (format === 'zip') return `${base}.zip`;
+  return base;
+}
+
+/**
+ * Package a downloaded channel folder as a BagIt bag, either as a folder
+ * next to it or serialized into a .tar.gz or .zip. Unchanged files are
+ * not hashed again, and a package whose contents haven't changed is left
+ * as it is. Resolves with { format, path, files, bytes, changed }.
+ */
+async function packageChannel(channelDir, { format = 'bagit', slug, info, outputDir }) {
+  if (!PACKAGE_FORMATS.includes(format)) {
+    throw new Error(`Unknown package format "${format}" (use ${PACKAGE_FORMATS.join(', ')})`);
+  }
+  const cachePath = path.join(channelDir, STATE_DIR, CACHE_FILE);
+  const cache = readCache(cachePath);
+  const payload = hashPayload(channelDir, listPayload(channelDir), cache);
+  const target = getPackagePath(outputDir, slug, format);
+  const root = path.basename(target).replace(/\.(tar\.gz|zip)$/, '');
+
+  const tags = buildTagFiles(info, slug, payload, new Date());
+  const print = fingerprint(tags);
+  const result = {
+    format,
+    path: target,
+    files: payload.length,
+    bytes: payload.reduce((sum, entry) => sum + entry.size, 0),
+    changed: true
+  };
+
+  const packaged = cache.packages && cache.packages[format];
+  if (packaged && packaged.fingerprint === print && fs.existsSync(target)) {
+    result.changed = false;
+  } else if (format === 'bagit') {
+    writeBagDir(target, channelDir, payload, tags);
+  } else {
+    const tempPath = `${target}.part`;
+    try {
+      if (format === 'tar') {
+        await writeTar(tempPath, root, channelDir, payload, tags);
+      } else {
+        await writeZip(tempPath, root, channelDir, payload, tags);
+      }
+    } catch (error) {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      throw error;
+    }
+    fs.renameSync(tempPath, target);
+  }
+
+  cache.packages = { ...cache.packages, [format]: { fingerprint: print, path: target } };
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+  return result;
+}
+
+module.exports = { PACKAGE_FORMATS, packageChannel, getPackagePath };
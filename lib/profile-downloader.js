@@ -0,0 +1,126 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { DEFAULT_API_BASE, PER_PAGE, DEFAULT_TIMEOUT, DEFAULT_RETRIES } = require('./constants');
+const { sleep, authHeaders, withRetry } = require('./request');
+const { ArenaDownloader, sumStats } = require('./arena-downloader');
+
+/**
+ * Downloads every channel belonging to a user or group.
+ *
+ * Emits `profile`, `page`, `channel:failed` and `complete`, plus every
+ * event from the channel downloaders it runs.
+ */
+class ProfileDownloader extends EventEmitter {
+  constructor(kind, slug, outputDir, options = {}) {
+    super();
+    this.kind = kind;  // 'user' or 'group'
+    this.slug = slug;
+    this.outputDir = outputDir;
+    this.options = options;
+    this.token = options.token;
+    this.apiBase = (options.apiBase || DEFAULT_API_BASE).replace(/\/+$/, '');
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.downloaders = [];
+    this.failedChannels = [];
+  }
+
+  publish(event, data = {}) {
+    this.emit(event, { kind: this.kind, profile: this.slug, ...data });
+  }
+
+  // Called by channel downloaders so their events reach our listeners
+  forward(event, payload) {
+    this.emit(event, payload);
+  }
+
+  describeApiError(error) {
+    const status = error.response?.status;
+    const label = this.kind === 'group' ? 'Group' : 'User';
+    if (status === 401 || status === 403) {
+      return this.token
+        ? `Access to ${this.kind} "${this.slug}" was denied. Your Are.na token was rejected.`
+        : `${label} "${this.slug}" is private. Provide an Are.na access token with --token or ARENA_TOKEN.`;
+    }
+    if (status === 404) {
+      return `${label} "${this.slug}" not found. Check the name and try again.`;
+    }
+    return `Could not connect to Are.na. Check your internet connection.`;
+  }
+
+  async fetchChannels() {
+    const channels = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      this.publish('page', { page, totalPages });
+      let data;
+      try {
+        const response = await withRetry(
+          () => axios.get(
+            `${this.apiBase}/${this.kind}s/${this.slug}/channels`,
+            { params: { page, per: PER_PAGE }, headers: authHeaders(this.token), timeout: this.timeout }
+          ),
+          {
+            retries: this.retries,
+            onRetry: (error, delay) => this.publish('retry', { label: `page ${page}`, delay, error: error.message })
+          }
+        );
+        data = response.data;
+      } catch (error) {
+        throw new Error(this.describeApiError(error));
+      }
+
+      const pageChannels = data.channels || [];
+      channels.push(...pageChannels);
+      totalPages = data.total_pages || totalPages;
+      if (pageChannels.length === 0) break;
+      page++;
+      // Small delay between pages to be polite
+      if (page <= totalPages) await sleep(100);
+    } while (page <= totalPages);
+
+    return channels;
+  }
+
+  getResult() {
+    const channels = this.downloaders.flatMap(d => d.getResult().channels);
+    return {
+      kind: this.kind,
+      slug: this.slug,
+      dryRun: Boolean(this.options.dryRun),
+      stats: sumStats(channels),
+      channels,
+      failedChannels: [...this.failedChannels, ...this.downloaders.flatMap(d => d.collectFailedChannels())]
+    };
+  }
+
+  /**
+   * Download every channel on the profile. One failing channel doesn't stop
+   * the others; rejects only if the profile itself can't be read.
+   */
+  async download() {
+    const channels = await this.fetchChannels();
+    this.publish('profile', { channels: channels.map(c => c.slug) });
+
+    const profileDir = path.join(this.outputDir, this.slug);
+    for (const channel of channels) {
+      const downloader = new ArenaDownloader(channel.slug, profileDir, { ...this.options, parent: this });
+      try {
+        await downloader.archive();
+        this.downloaders.push(downloader);
+      } catch (error) {
+        this.failedChannels.push({ slug: channel.slug, error: error.message });
+        this.publish('channel:failed', { channel: channel.slug, error: error.message });
+      }
+    }
+
+    const result = this.getResult();
+    this.emit('complete', result);
+    return result;
+  }
+}
+
+module.exports = { ProfileDownloader };
@@ -0,0 +1,120 @@
+const zlib = require('zlib');
+const { DEFAULT_RETRIES } = require('./constants');
+
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Browser-like headers to avoid WAF blocks
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Referer': 'https://www.are.na/',
+  'Sec-Fetch-Dest': 'image',
+  'Sec-Fetch-Mode': 'no-cors',
+  'Sec-Fetch-Site': 'cross-site'
+};
+
+// Undoes the Content-Encodings BROWSER_HEADERS accepts, or null for none
+function createDecoder(encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+    case 'deflate':
+      return zlib.createUnzip();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+// Dropped connections, timeouts and DNS hiccups. Anything else with a
+// code (a full disk, a body over maxContentLength) fails the same way again
+const NETWORK_ERRORS = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENETDOWN',
+  'ERR_NETWORK',
+  'ERR_STREAM_PREMATURE_CLOSE'
+]);
+
+function isRetryable(error) {
+  if (error.retryable) return true;
+  const status = error.response?.status;
+  if (!status) return NETWORK_ERRORS.has(error.code);
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function getRetryDelay(error, attempt) {
+  // Honor Retry-After (seconds or HTTP date) on rate limits
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (ms >= 0) return Math.min(ms, MAX_RETRY_DELAY);
+  }
+
+  // Exponential backoff with jitter
+  const delay = RETRY_BASE_DELAY * 2 ** attempt;
+  return Math.min(delay / 2 + Math.random() * delay / 2, MAX_RETRY_DELAY);
+}
+
+// Run fn, retrying transient failures up to `retries` more times
+async function withRetry(fn, { retries = DEFAULT_RETRIES, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      const delay = getRetryDelay(error, attempt);
+      if (onRetry) onRetry(error, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Spaces requests evenly so all downloads together stay under a per-second limit
+class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.interval = 1000 / requestsPerSecond;
+    this.nextAt = 0;
+  }
+
+  async wait() {
+    const now = Date.now();
+    const at = Math.max(now, this.nextAt);
+    this.nextAt = at + this.interval;
+    if (at > now) await sleep(at - now);
+  }
+}
+
+module.exports = {
+  BROWSER_HEADERS,
+  createDecoder,
+  sleep,
+  authHeaders,
+  retryableError,
+  withRetry,
+  RateLimiter
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashFile } = require('./files');
+
+const LINK_MODES = ['hard', 'symlink'];
+
+// Cross-device links and filesystems without hard links
+const LINK_ERRORS = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Content-addressed file store shared between channels.
+ *
+ * Files live once under `objects/<aa>/<sha256>` and are linked into channel
+ * folders. `urls/<sha256 of url>` remembers which object a URL produced so
+ * the same URL is never fetched twice.
+ */
+class ContentStore {
+  constructor(dir, { link = 'hard' } = {}) {
+    this.dir = dir;
+    this.link = link;
+  }
+
+  objectPath(hash) {
+    return path.join(this.dir, 'objects', hash.slice(0, 2), hash);
+  }
+
+  urlPath(url) {
+    return path.join(this.dir, 'urls', sha256(url));
+  }
+
+  // Path of the stored copy of a URL's content, if there is one
+  lookup(url) {
+    const urlPath = this.urlPath(url);
+    if (!fs.existsSync(urlPath)) return null;
+    const objectPath = this.objectPath(fs.readFileSync(urlPath, 'utf8').trim());
+    return fs.existsSync(objectPath) ? objectPath : null;
+  }
+
+  /**
+   * Put `filepath` in place as a link to a stored object. Hard links fall
+   * back to symlinks, and symlinks to copies, where the filesystem refuses.
+   */
+  linkInto(objectPath, filepath) {
+    const tempPath = `${filepath}.part`;
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+
+    let linked = false;
+    if (this.link === 'hard') {
+      try {
+        fs.linkSync(objectPath, tempPath);
+        linked = true;
+      } catch (error) {
+        if (!LINK_ERRORS.includes(error.code)) throw error;
+      }
+    }
+    if (!linked) {
+      try {
+        // Absolute, so the link survives renames into other subfolders
+        fs.symlinkSync(path.resolve(objectPath), tempPath);
+      } catch (error) {
+        if (!LINK_ERRORS.includes(error.code)) throw error;
+        fs.copyFileSync(objectPath, tempPath);
+      }
+    }
+    fs.renameSync(tempPath, filepath);
+    // rename() is a no-op when both names are already links to the same file
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+  }
+
+  /**
+   * Take a freshly downloaded file into the store and link it back.
+   * Returns true when identical content was already stored. With `verify`,
+   * a stored object that no longer matches its hash is replaced.
+   */
+  add(url, filepath, { verify = false } = {}) {
+    const hash = hashFile(filepath);
+    const objectPath = this.objectPath(hash);
+    let existed = fs.existsSync(objectPath);
+    if (existed && verify && hashFile(objectPath) !== hash) existed = false;
+
+    if (!existed) {
+      fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+      const tempPath = `${objectPath}.part`;
+      fs.copyFileSync(filepath, tempPath);
+      fs.renameSync(tempPath, objectPath);
+    }
+    this.linkInto(objectPath, filepath);
+
+    const urlPath = this.urlPath(url);
+    fs.mkdirSync(path.dirname(urlPath), { recursive: true });
+    fs.writeFileSync(urlPath, hash);
+    return existed;
+  }
+}
+
+module.exports = { ContentStore, LINK_MODES };
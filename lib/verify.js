@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { STATE_DIR, CHANNEL_RECORD } = require('./constants');
+const { hashFile } = require('./files');
+const { getExportFilename, EXPORT_FORMATS } = require('./export');
+const { ArenaDownloader } = require('./arena-downloader');
+
+const ISSUE_TYPES = {
+  missing: 'Missing',
+  empty: 'Zero-byte',
+  truncated: 'Truncated',
+  checksum: 'Checksum mismatch',
+  invalid: 'Not a valid image',
+  outdated: 'Changed on Are.na since download',
+  'stale-sidecar': 'Out-of-date metadata sidecar',
+  orphaned: 'Orphaned'
+};
+
+// Extensions each detected format may be saved under
+const IMAGE_EXTENSIONS = {
+  jpeg: ['jpg', 'jpeg', 'jpe'],
+  png: ['png'],
+  gif: ['gif'],
+  webp: ['webp'],
+  avif: ['avif'],
+  heic: ['heic', 'heif'],
+  bmp: ['bmp'],
+  tiff: ['tif', 'tiff'],
+  ico: ['ico'],
+  svg: ['svg']
+};
+
+// Identify an image format from the first bytes of a file
+function detectImageType(head) {
+  const ascii = (start, end) => head.subarray(start, end).toString('latin1');
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(0, 4) === 'II*\x00' || ascii(0, 4) === 'MM\x00*') return 'tiff';
+  if (head[0] === 0 && head[1] === 0 && head[2] === 1 && head[3] === 0) return 'ico';
+  if (/^\s*(<\?xml[\s\S]*?)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head.toString('utf8'))) return 'svg';
+  return null;
+}
+
+// Formats with a fixed end marker can be checked for a cut-off download
+function hasEndMarker(type, tail) {
+  switch (type) {
+    case 'jpeg':
+      return tail.includes(Buffer.from([0xff, 0xd9]));
+    case 'png':
+      return tail.includes(Buffer.from('IEND'));
+    case 'gif':
+      return tail.includes(0x3b);
+    default:
+      return true;
+  }
+}
+
+function readEnds(filepath, size, length = 4096) {
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    const head = Buffer.alloc(Math.min(length, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+    const tail = Buffer.alloc(Math.min(1024, size));
+    fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+    return { head, tail };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readJson(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Audits a downloaded channel folder against the live channel.
+ *
+ * Uses an ArenaDownloader for API access and file naming, so options like
+ * `blockTypes` and `filename` should match the ones the archive was made
+ * with. Emits the downloader's `page` and `retry` events and `complete`.
+ */
+class ArchiveVerifier extends EventEmitter {
+  constructor(slug, outputDir, options = {}) {
+    super();
+    this.slug = slug;
+    this.downloader = new ArenaDownloader(slug, outputDir, { ...options, dryRun: true, parent: this });
+    this.channelDir = this.downloader.channelDir;
+    this.issues = [];
+  }
+
+  // Called by the downloader so its events reach our listeners
+  forward(event, payload) {
+    this.emit(event, payload);
+  }
+
+  addIssue(type, file, block, detail) {
+    this.issues.push({ type, file, id: block ? block.id : null, title: block ? block.title || null : null, detail: detail || null });
+  }
+
+  checkImage(filepath, file, block, size) {
+    const { head, tail } = readEnds(filepath, size);
+    const type = detectImageType(head);
+    if (!type) {
+      this.addIssue('invalid', file, block, 'no image signature found');
+      return;
+    }
+    const ext = path.extname(file).slice(1).toLowerCase();
+    if (!IMAGE_EXTENSIONS[type].includes(ext)) {
+      this.addIssue('invalid', file, block, `${type.toUpperCase()} data saved as .${ext}`);
+    }
+    if (!hasEndMarker(type, tail)) {
+      this.addIssue('truncated', file, block, `${type.toUpperCase()} data ends early`);
+    }
+  }
+
+  checkFile(file, block, entry, { image }) {
+    const filepath = path.join(this.channelDir, file);
+    if (!fs.existsSync(filepath)) {
+      this.addIssue('missing', file, block);
+      return;
+    }
+
+    const size = fs.statSync(filepath).size;
+    if (size === 0) {
+      this.addIssue('empty', file, block);
+      return;
+    }
+    if (entry && entry.size !== undefined && size !== entry.size) {
+      if (size < entry.size) {
+        this.addIssue('truncated', file, block, `${size} of ${entry.size} bytes`);
+      } else {
+        this.addIssue('checksum', file, block, `${size} bytes, expected ${entry.size}`);
+      }
+      return;
+    }
+    if (entry && entry.sha256 && hashFile(filepath) !== entry.sha256) {
+      this.addIssue('checksum', file, block, 'contents differ from the recorded SHA-256');
+      return;
+    }
+    if (image) this.checkImage(filepath, file, block, size);
+  }
+
+  checkSidecar(file, block) {
+    const sidecarFile = file.replace(/\.[^.]+$/, '.json');
+    const sidecarPath = path.join(this.channelDir, sidecarFile);
+    if (!fs.existsSync(sidecarPath)) return;
+
+    const sidecar = readJson(sidecarPath);
+    if (!sidecar) {
+      this.addIssue('stale-sidecar', sidecarFile, block, 'not valid JSON');
+      return;
+    }
+    const changed = ['updated_at', 'title', 'description'].filter(key => (sidecar[key] || null) !== (block[key] || null));
+    if (changed.length > 0) {
+      this.addIssue('stale-sidecar', sidecarFile, block, `${changed.join(', ')} differ from Are.na`);
+    }
+  }
+
+  // Every file under the channel folder, skipping state and nested channels
+  listFiles(dir = this.channelDir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (entry.name === STATE_DIR || entry.name === '.arena-dl-store') continue;
+        if (fs.existsSync(path.join(dir, entry.name, STATE_DIR, 'manifest.json'))) continue;
+        files.push(...this.listFiles(path.join(dir, entry.name), rel));
+      } else {
+        files.push(rel);
+      }
+    }
+    return files;
+  }
+
+  checkOrphans(known, removed) {
+    const channelFiles = new Set([
+      'index.html',
+      CHANNEL_RECORD,
+      ...EXPORT_FORMATS.map(format => getExportFilename(this.slug, format))
+    ]);
+
+    for (const file of this.listFiles()) {
+      if (known.has(file) || channelFiles.has(file)) continue;
+      let detail = 'not part of any block in the manifest';
+      if (removed.has(file)) detail = 'block was removed from the channel';
+      else if (file.endsWith('.part')) detail = 'left over from an interrupted download';
+      this.addIssue('orphaned', file, null, detail);
+    }
+  }
+
+  async verify() {
+    if (!fs.existsSync(this.channelDir)) {
+      throw new Error(`Folder "${this.channelDir}" does not exist.`);
+    }
+
+    const d = this.downloader;
+    const info = await d.fetchChannelInfo();
+    const blocks = await d.fetchAllBlocks(info.length);
+    const manifest = d.loadManifest(this.channelDir);
+    d.manifest = manifest;
+
+    const expected = d.filterBlocks(blocks).filter(block => d.hasContent(block));
+    const live = new Set(blocks.map(block => String(block.id)));
+    const known = new Set();
+
+    for (const block of expected) {
+      const entry = manifest.blocks[block.id];
+      const file = entry ? entry.filename : d.getFilename(block);
+      const type = d.getBlockType(block);
+      d.findBlockFiles(file, this.channelDir).forEach(f => known.add(f));
+
+      this.checkFile(file, block, entry, { image: type === 'image' || type === 'link' });
+      if (entry && entry.updated_at !== block.updated_at) {
+        this.addIssue('outdated', file, block, `updated ${block.updated_at}`);
+      }
+      if (type === 'embed') {
+        const base = path.posix.basename(file, '.html');
+        for (const thumb of d.findBlockFiles(file, this.channelDir).filter(f => path.posix.basename(f).startsWith(`${base}_thumb.`))) {
+          const size = fs.statSync(path.join(this.channelDir, thumb)).size;
+          if (size === 0) this.addIssue('empty', thumb, block);
+          else this.checkImage(path.join(this.channelDir, thumb), thumb, block, size);
+        }
+      }
+      this.checkSidecar(file, block);
+    }
+
+    // Blocks kept locally after being removed on Are.na; files of live
+    // blocks outside the current filters still belong to the archive
+    const removed = new Set();
+    for (const entry of Object.values(manifest.blocks)) {
+      const files = d.findBlockFiles(entry.filename, this.channelDir);
+      files.forEach(f => (live.has(String(entry.id)) ? known : removed).add(f));
+    }
+    this.checkOrphans(known, removed);
+
+    const counts = {};
+    for (const issue of this.issues) counts[issue.type] = (counts[issue.type] || 0) + 1;
+
+    const report = {
+      slug: this.slug,
+      title: info.title,
+      dir: this.channelDir,
+      checked: expected.length,
+      ok: this.issues.length === 0,
+      counts,
+      issues: this.issues
+    };
+    this.emit('complete', report);
+    return report;
+  }
+}
+
+module.exports = { ArchiveVerifier, ISSUE_TYPES, detectImageType };
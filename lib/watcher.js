@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+const { blockRow } = require('./export');
+const { runHook } = require('./hooks');
+
+/**
+ * Runs a downloader again and again, waiting `interval` ms after each run
+ * finishes so runs never overlap. Every cycle gets a fresh downloader from
+ * `createDownloader(options)`, so stats start from zero each time.
+ *
+ * Emits `cycle:start`, `cycle:done` (with the blocks that were new),
+ * `cycle:failed`, `hook` and `hook:failed`, plus every downloader event.
+ * The first cycle is the baseline: what it downloads isn't sent to `onNew`.
+ */
+class Watcher extends EventEmitter {
+  constructor(createDownloader, options = {}) {
+    super();
+    this.createDownloader = createDownloader;
+    this.interval = options.interval;
+    this.onNew = options.onNew;
+    this.timeout = options.timeout;
+    this.cycle = 0;
+    this.timer = null;
+    this.wake = null;
+    this.stopped = false;
+  }
+
+  // Called by the downloaders so their events reach our listeners
+  forward(event, payload) {
+    this.emit(event, payload);
+  }
+
+  async runCycle() {
+    this.cycle++;
+    const cycle = this.cycle;
+    const startedAt = new Date();
+    this.emit('cycle:start', { cycle, startedAt });
+
+    const newBlocks = [];
+    const downloader = this.createDownloader({ parent: this });
+    downloader.on('block:done', ({ slug, block, added, file, filepath }) => {
+      if (added) newBlocks.push({ channel: slug, ...blockRow(block, { status: 'downloaded', file }), path: filepath });
+    });
+
+    try {
+      const result = await downloader.download();
+      // Everything is new to an empty folder, which would flood the hook
+      const baseline = cycle === 1;
+      this.emit('cycle:done', { cycle, startedAt, result, newBlocks, baseline });
+      if (this.onNew && !baseline && newBlocks.length > 0) {
+        await this.notify({ cycle, checked_at: startedAt.toISOString(), count: newBlocks.length, blocks: newBlocks });
+      }
+    } catch (error) {
+      this.emit('cycle:failed', { cycle, startedAt, error: error.message });
+    }
+  }
+
+  async notify(payload) {
+    try {
+      await runHook(this.onNew, payload, { timeout: this.timeout });
+      this.emit('hook', { target: this.onNew, count: payload.count });
+    } catch (error) {
+      this.emit('hook:failed', { target: this.onNew, error: error.message });
+    }
+  }
+
+  // Run a cycle now and keep going until stop() is called
+  async start() {
+    this.stopped = false;
+    while (!this.stopped) {
+      await this.runCycle();
+      if (this.stopped) break;
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, this.interval);
+      });
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+}
+
+module.exports = { Watcher };
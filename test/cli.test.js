@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeArena } = require('./fake-arena/server');
+const { hashFile } = require('../lib/files');
+const { makeTempDir, removeDir, listFiles, runCli, runCliUntil, parseEvents } = require('./helpers');
+
+const ALL_TYPES = 'image,link,embed,attachment,text';
+
+describe('arena-dl command line', () => {
+  let arena;
+  let home;
+  const run = (args, options = {}) => runCli(args, { apiBase: arena.apiBase, home, ...options });
+
+  before(async () => {
+    arena = await new FakeArena().start();
+  });
+
+  after(() => arena.stop());
+
+  beforeEach(() => {
+    arena.reset();
+    home = makeTempDir();
+  });
+
+  afterEach(() => removeDir(home));
+
+  it('downloads every block type from a mixed channel', async () => {
+    const { code, stdout } = await run(['mixed', 'out', '--block-types', ALL_TYPES]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Downloaded:\s+6/);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'mixed')), [
+      '101_image-101.png',
+      '102_a-linked-page.png',
+      '103_a-note.md',
+      '104_paper.pdf',
+      '105_a-video.html',
+      '105_a-video_thumb.jpeg',
+      '107_sunset-by-sam.png'
+    ]);
+    const note = fs.readFileSync(path.join(home, 'out', 'mixed', '103_a-note.md'), 'utf8');
+    assert.match(note, /Plain \*markdown\* text/);
+  });
+
+  it('downloads only images by default', async () => {
+    const { code } = await run(['mixed', 'out']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'mixed')), ['101_image-101.png', '107_sunset-by-sam.png']);
+  });
+
+  it('reads every page of a channel with more than 500 blocks', async () => {
+    const { code, stdout } = await run(['large', 'out', '--json', '--concurrency', '10']);
+
+    assert.equal(code, 0);
+    const pages = arena.requests.filter(r => r.path === '/v2/channels/large/contents');
+    assert.deepEqual(pages.map(r => r.query.page), ['1', '2', '3', '4', '5', '6']);
+    assert.ok(pages.every(r => r.query.per === '100'));
+
+    const summary = parseEvents(stdout).find(e => e.event === 'summary');
+    assert.equal(summary.stats.total, 520);
+    assert.equal(summary.stats.downloaded, 520);
+    assert.equal(listFiles(path.join(home, 'out', 'large')).length, 520);
+  });
+
+  it('resumes by skipping files it already has', async () => {
+    await run(['mixed', 'out', '--block-types', ALL_TYPES]);
+    fs.unlinkSync(path.join(home, 'out', 'mixed', '101_image-101.png'));
+    arena.reset();
+
+    const { code, stdout } = await run(['mixed', 'out', '--block-types', ALL_TYPES, '--json']);
+
+    assert.equal(code, 0);
+    const { stats } = parseEvents(stdout).find(e => e.event === 'summary');
+    assert.equal(stats.downloaded, 1);
+    assert.equal(stats.skipped, 5);
+    const files = arena.requests.filter(r => r.path.startsWith('/files/')).map(r => r.path);
+    assert.deepEqual(files, ['/files/101.png']);
+  });
+
+  it('applies filters', async () => {
+    const byUser = await run(['mixed', 'out', '--user', 'sam-lee', '--json']);
+    const { stats } = parseEvents(byUser.stdout).find(e => e.event === 'summary');
+    assert.equal(stats.downloaded, 1);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'mixed')), ['107_sunset-by-sam.png']);
+
+    const limited = await run(['large', 'limited', '--since', '2024-03-01', '--limit', '5', '--dry-run', '--json']);
+    const blocks = parseEvents(limited.stdout).filter(e => e.event === 'block:done').map(e => e.block.id);
+    assert.equal(blocks.length, 5);
+    assert.ok(blocks.every(id => id >= 1060));
+    assert.deepEqual(listFiles(path.join(home, 'limited')), []);
+  });
+
+  it('reports a missing channel and exits with an error', async () => {
+    const { code, stderr } = await run(['does-not-exist', 'out', '--retries', '0']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Channel "does-not-exist" not found/);
+  });
+
+  it('reports missing channels as a JSON error event', async () => {
+    const { code, stdout } = await run(['does-not-exist', 'out', '--retries', '0', '--json']);
+
+    assert.equal(code, 1);
+    const events = parseEvents(stdout);
+    assert.equal(events[events.length - 1].event, 'error');
+    assert.match(events[events.length - 1].message, /not found/);
+  });
+
+  it('waits and retries when rate limited', async () => {
+    const { code, stdout } = await run(['rate-limited', 'out', '--json']);
+
+    assert.equal(code, 0);
+    const events = parseEvents(stdout);
+    assert.ok(events.some(e => e.event === 'retry' && e.label === 'page 1'));
+    assert.equal(events.find(e => e.event === 'summary').stats.downloaded, 2);
+  });
+
+  it('logs blocks that fail and retries only those next time', async () => {
+    const { code, stdout } = await run(['flaky', 'out', '--retries', '1', '--json']);
+
+    assert.equal(code, 0);
+    const done = parseEvents(stdout).find(e => e.event === 'channel:done');
+    assert.equal(done.stats.downloaded, 2);
+    assert.equal(done.stats.failed, 2);
+    assert.deepEqual(done.failedBlocks.map(b => b.blockId).sort(), [302, 303]);
+
+    const log = fs.readFileSync(path.join(home, 'out', '.arena-dl-flaky.log'), 'utf8');
+    assert.match(log, /^302 - Image 302: .*empty/m);
+    assert.match(log, /^303 - Image 303: .*404/m);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'flaky')), ['301_image-301.png', '304_image-304.png']);
+
+    arena.reset();
+    await run(['flaky', 'out', '--retries', '0']);
+    const files = arena.requests.filter(r => r.path.startsWith('/files/')).map(r => r.path).sort();
+    assert.deepEqual(files, ['/files/empty.png', '/files/missing.png']);
+  });
+
+  it('stops when a page of the channel cannot be read', async () => {
+    const { code, stderr } = await run(['broken-pagination', 'out', '--retries', '1']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Unable to retrieve page 2 of "broken-pagination"/);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'broken-pagination')), []);
+  });
+
+  it('keeps what it found when pages run out early', async () => {
+    const { code, stdout } = await run(['truncated-pagination', 'out', '--json']);
+
+    assert.equal(code, 0);
+    const { stats } = parseEvents(stdout).find(e => e.event === 'summary');
+    assert.equal(stats.downloaded, 120);
+    assert.equal(stats.failed, 0);
+  });
+
+  it('needs a token for private channels', async () => {
+    const denied = await run(['private', 'out', '--retries', '0']);
+    assert.equal(denied.code, 1);
+    assert.match(denied.stderr, /is private/);
+
+    const allowed = await run(['private', 'out'], { env: { ARENA_TOKEN: 'secret-token' } });
+    assert.equal(allowed.code, 0);
+    assert.equal(listFiles(path.join(home, 'out', 'private')).length, 2);
+  });
+
+  it('follows nested channels with --recursive', async () => {
+    const { code } = await run(['mixed', 'out', '--recursive']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'mixed', 'nested-child')), ['201_image-201.png', '202_image-202.png']);
+  });
+
+  it('reads only a number after --recursive as the depth', async () => {
+    const dirAfter = await run(['mixed', '--recursive', 'out']);
+    assert.equal(dirAfter.code, 0);
+    assert.deepEqual(listFiles(path.join(home, 'out', 'mixed', 'nested-child')), ['201_image-201.png', '202_image-202.png']);
+
+    const slugAfter = await run(['--recursive', 'mixed', 'first']);
+    assert.equal(slugAfter.code, 0);
+    assert.equal(listFiles(path.join(home, 'first', 'mixed', 'nested-child')).length, 2);
+
+    const limited = await run(['mixed', 'none', '--recursive', '0']);
+    assert.equal(limited.code, 0);
+    assert.equal(fs.existsSync(path.join(home, 'none', 'mixed', 'nested-child')), false);
+  });
+
+  it('downloads every channel of a user and reports those that fail', async () => {
+    const { code, stdout } = await run(['user', 'jane-doe', 'out', '--retries', '0', '--json']);
+
+    assert.equal(code, 0);
+    const summary = parseEvents(stdout).find(e => e.event === 'summary');
+    assert.deepEqual(summary.channels.map(c => c.slug), ['mixed', 'nested-child']);
+    assert.deepEqual(summary.failedChannels.map(c => c.slug), ['does-not-exist']);
+  });
+
+  it('writes nothing in dry-run mode', async () => {
+    const { code, stdout } = await run(['mixed', 'out', '--dry-run']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Dry-run complete/);
+    assert.equal(fs.existsSync(path.join(home, 'out', 'mixed')), false);
+    assert.equal(arena.requests.filter(r => r.path.startsWith('/files/')).length, 0);
+  });
+
+  it('verifies a finished download', async () => {
+    await run(['mixed', 'out']);
+    const intact = await run(['verify', 'mixed', 'out']);
+    assert.equal(intact.code, 0);
+
+    fs.truncateSync(path.join(home, 'out', 'mixed', '101_image-101.png'), 0);
+    const damaged = await run(['verify', 'mixed', 'out', '--json']);
+    assert.equal(damaged.code, 1);
+    assert.deepEqual(JSON.parse(damaged.stdout).issues.map(i => i.type), ['empty']);
+  });
+
+  it('sends only blocks added after the first check to --on-new', async () => {
+    const { stdout, stderr } = await runCliUntil(
+      ['mixed', 'out', '--watch', '0.01', '--on-new', 'cat', '--json'],
+      { apiBase: arena.apiBase, home },
+      (output) => {
+        // A block arrives once the baseline is in
+        const mixed = arena.channels.mixed;
+        if (/"event":"cycle:done"/.test(output) && mixed.info.length === 7) {
+          mixed.blocks.push({ ...mixed.blocks[0], id: 108, title: 'Image 108' });
+          mixed.info.length = 8;
+        }
+        return /"event":"hook".*\n/.test(output);
+      }
+    );
+
+    const events = parseEvents(stdout);
+    assert.equal(events.find(e => e.event === 'cycle:done').baseline, true);
+    assert.equal(events.find(e => e.event === 'hook').count, 1);
+    // The hook's output goes to stderr, not into the --json event stream
+    const payload = JSON.parse(stderr.trim().split('\n').find(line => line.startsWith('{')));
+    assert.deepEqual(payload.blocks.map(b => b.id), [108]);
+  });
+
+  it('keeps a bag intact when the channel is downloaded again', async () => {
+    await run(['mixed', 'out', '--include-metadata', '--package']);
+    const bag = path.join(home, 'out', 'mixed-bag');
+    const manifest = fs.readFileSync(path.join(bag, 'manifest-sha256.txt'), 'utf8');
+    const inode = (...parts) => fs.statSync(path.join(...parts)).ino;
+    assert.notEqual(inode(bag, 'data', '101_image-101.json'), inode(home, 'out', 'mixed', '101_image-101.json'));
+
+    await run(['mixed', 'out', '--deep-metadata', '--force']);
+
+    assert.match(manifest, /data\/101_image-101\.json/);
+    for (const line of manifest.trim().split('\n')) {
+      const [sha256, file] = line.split('  ');
+      assert.equal(hashFile(path.join(bag, file)), sha256, file);
+    }
+  });
+
+  it('takes the API address from --api-base', async () => {
+    const { code } = await run(['mixed', 'out', '--api-base', `${arena.apiBase}/`], { env: { ARENA_API_BASE: '' } });
+
+    assert.equal(code, 0);
+    assert.ok(arena.requests.some(r => r.path === '/v2/channels/mixed/thumb'));
+  });
+});
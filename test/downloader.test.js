@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ArenaDownloader } = require('..');
+const { FakeArena, SVG } = require('./fake-arena/server');
+const { makeTempDir, removeDir, listFiles } = require('./helpers');
+
+describe('ArenaDownloader', () => {
+  let arena;
+  let dir;
+  const create = (slug, options = {}) => new ArenaDownloader(slug, dir, { apiBase: arena.apiBase, ...options });
+
+  before(async () => {
+    arena = await new FakeArena().start();
+  });
+
+  after(() => arena.stop());
+
+  beforeEach(() => {
+    arena.reset();
+    dir = makeTempDir();
+  });
+
+  afterEach(() => removeDir(dir));
+
+  it('resolves with the stats of the download', async () => {
+    const result = await create('mixed', { blockTypes: ['image', 'text'] }).download();
+
+    assert.equal(result.slug, 'mixed');
+    assert.equal(result.stats.total, 7);
+    assert.equal(result.stats.downloaded, 3);
+    assert.equal(result.stats.filtered, 4);
+    assert.equal(result.stats.failed, 0);
+    assert.deepEqual(result.failedChannels, []);
+  });
+
+  it('emits an event for every page and block', async () => {
+    const downloader = create('large', { concurrency: 10, dryRun: true });
+    const pages = [];
+    const blocks = [];
+    downloader.on('page', ({ page, totalPages }) => pages.push(`${page}/${totalPages}`));
+    downloader.on('block:done', ({ block }) => blocks.push(block.id));
+
+    await downloader.download();
+
+    assert.deepEqual(pages, ['1/6', '2/6', '3/6', '4/6', '5/6', '6/6']);
+    assert.equal(blocks.length, 520);
+    assert.equal(new Set(blocks).size, 520);
+  });
+
+  it('records downloads in the manifest', async () => {
+    await create('mixed').download();
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'mixed', '.arena-dl', 'manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(manifest.blocks).sort(), ['101', '107']);
+    assert.equal(manifest.blocks[101].filename, '101_image-101.png');
+    assert.match(manifest.blocks[101].sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it('reports failed blocks in the result and the failure log', async () => {
+    const failed = [];
+    const downloader = create('flaky', { retries: 1 });
+    downloader.on('block:failed', ({ block }) => failed.push(block.id));
+
+    const result = await downloader.download();
+
+    assert.deepEqual(failed.sort(), [302, 303]);
+    assert.deepEqual(result.channels[0].failedBlocks.map(b => b.blockId).sort(), [302, 303]);
+    assert.ok(fs.existsSync(path.join(dir, '.arena-dl-flaky.log')));
+  });
+
+  it('decompresses files served with a Content-Encoding', async () => {
+    const result = await create('compressed', { retries: 0 }).download();
+
+    assert.equal(result.stats.downloaded, 1);
+    assert.deepEqual(fs.readFileSync(path.join(dir, 'compressed', '901_image-901.svg')), SVG);
+  });
+
+  it('renames a retitled block instead of downloading it again', async () => {
+    await create('mixed', { includeMetadata: true }).download();
+    arena.reset();
+    const block = arena.channels.mixed.blocks.find(b => b.id === 101);
+    Object.assign(block, { title: 'Harbour', updated_at: '2025-01-01T00:00:00.000Z' });
+
+    const result = await create('mixed', { includeMetadata: true }).download();
+
+    assert.equal(result.stats.renamed, 1);
+    assert.equal(result.stats.downloaded, 0);
+    assert.equal(arena.requests.filter(r => r.path.startsWith('/files/')).length, 0);
+    const sidecar = JSON.parse(fs.readFileSync(path.join(dir, 'mixed', '101_harbour.json'), 'utf8'));
+    assert.equal(sidecar.title, 'Harbour');
+    assert.equal(fs.existsSync(path.join(dir, 'mixed', '101_image-101.png')), false);
+  });
+
+  it('fails only the block whose rename fails', async () => {
+    await create('mixed').download();
+    Object.assign(arena.channels.mixed.blocks.find(b => b.id === 101), { title: 'Harbour' });
+    // A non-empty folder where the renamed file should go
+    fs.mkdirSync(path.join(dir, 'mixed', '101_harbour.png'));
+    fs.writeFileSync(path.join(dir, 'mixed', '101_harbour.png', 'keep'), '');
+
+    const result = await create('mixed').download();
+
+    assert.equal(result.stats.failed, 1);
+    assert.equal(result.stats.skipped, 1);
+    assert.deepEqual(result.channels[0].failedBlocks.map(b => b.blockId), [101]);
+  });
+
+  it('downloads a block again when its image is replaced', async () => {
+    await create('mixed').download();
+    arena.reset();
+    const block = arena.channels.mixed.blocks.find(b => b.id === 101);
+    block.image.original.url = `${arena.url}/files/101-new.png`;
+
+    const result = await create('mixed').download();
+
+    assert.equal(result.stats.updated, 1);
+    assert.deepEqual(arena.requests.filter(r => r.path.startsWith('/files/')).map(r => r.path), ['/files/101-new.png']);
+  });
+
+  it('archives linked pages, saving files that are not HTML as they are', async () => {
+    await create('mixed', { blockTypes: ['link'], archiveLinks: 'html' }).download();
+    const pagePath = path.join(dir, 'mixed', '102_a-linked-page_page.html');
+    assert.match(fs.readFileSync(pagePath, 'utf8'), /<h1>Article<\/h1>/);
+
+    fs.unlinkSync(pagePath);
+    arena.channels.mixed.blocks.find(b => b.id === 102).source.url = `${arena.url}/files/104.pdf`;
+    await create('mixed', { blockTypes: ['link'], archiveLinks: 'html' }).download();
+    const pdf = fs.readFileSync(path.join(dir, 'mixed', '102_a-linked-page_page.pdf'));
+    assert.match(pdf.toString(), /^%PDF/);
+  });
+
+  it('leaves link archive records alone in a forced dry run', async () => {
+    await create('mixed', { blockTypes: ['link'], archiveLinks: 'warc' }).download();
+    const sidecarPath = path.join(dir, 'mixed', '102_a-linked-page.json');
+    const sidecar = fs.readFileSync(sidecarPath, 'utf8');
+    assert.match(sidecar, /"link_archive"/);
+
+    await create('mixed', { blockTypes: ['link'], archiveLinks: 'warc', dryRun: true, skipExisting: false }).download();
+
+    assert.equal(fs.readFileSync(sidecarPath, 'utf8'), sidecar);
+  });
+
+  it('gives blocks names that their sidecars cannot share', async () => {
+    await create('mixed', { filename: '{user}.{ext}', blockTypes: ['image', 'text'], includeMetadata: true }).download();
+
+    assert.deepEqual(listFiles(path.join(dir, 'mixed')), [
+      'jane-doe.json',
+      'jane-doe.png',
+      'jane-doe_103.json',
+      'jane-doe_103.md',
+      'sam-lee.json',
+      'sam-lee.png'
+    ]);
+  });
+
+  it('keeps block names clear of the channel files', async () => {
+    await create('mixed', { filename: 'channel.{ext}', deepMetadata: true }).download();
+
+    const files = listFiles(path.join(dir, 'mixed'));
+    assert.deepEqual(files.filter(f => f.endsWith('.png')), ['channel_101.png', 'channel_107.png']);
+    const record = JSON.parse(fs.readFileSync(path.join(dir, 'mixed', 'channel.json'), 'utf8'));
+    assert.equal(record.slug, 'mixed');
+  });
+
+  it('prunes blocks removed from the channel', async () => {
+    await create('mixed').download();
+    const mixed = arena.channels.mixed;
+    mixed.blocks = mixed.blocks.filter(block => block.id !== 101);
+    mixed.info.length = mixed.blocks.length;
+
+    const result = await create('mixed', { prune: 'delete' }).download();
+
+    assert.equal(result.stats.removed, 1);
+    assert.deepEqual(listFiles(path.join(dir, 'mixed')), ['107_sunset-by-sam.png']);
+  });
+
+  it('prunes nothing when the listing is shorter than the channel', async () => {
+    await create('mixed').download();
+    const mixed = arena.channels.mixed;
+    mixed.blocks = mixed.blocks.filter(block => block.id !== 101);
+
+    const warnings = [];
+    const downloader = create('mixed', { prune: 'delete' });
+    downloader.on('warning', ({ message }) => warnings.push(message));
+    const result = await downloader.download();
+
+    assert.equal(result.stats.removed, 0);
+    assert.match(warnings[0], /Only 6 of 7 blocks were listed/);
+    assert.deepEqual(listFiles(path.join(dir, 'mixed')), ['101_image-101.png', '107_sunset-by-sam.png']);
+  });
+
+  it('does not retry a file that cannot be written', async () => {
+    // A folder in the way of the temp file
+    fs.mkdirSync(path.join(dir, 'mixed', '101_image-101.png.part'), { recursive: true });
+    const retries = [];
+    const downloader = create('mixed', { retries: 2 });
+    downloader.on('retry', ({ label }) => retries.push(label));
+
+    const result = await downloader.download();
+
+    assert.equal(result.stats.failed, 1);
+    assert.deepEqual(retries, []);
+  });
+
+  it('repairs a damaged stored file when forced', async () => {
+    const storeDir = path.join(dir, 'store');
+    await create('mixed', { storeDir }).download();
+    const filepath = path.join(dir, 'mixed', '101_image-101.png');
+    const original = fs.readFileSync(filepath);
+    // Damages the stored object too, through the hard link
+    fs.writeFileSync(filepath, 'damaged');
+    arena.reset();
+
+    await create('mixed', { storeDir, skipExisting: false }).download();
+
+    assert.ok(arena.requests.some(r => r.path === '/files/101.png'));
+    assert.deepEqual(fs.readFileSync(filepath), original);
+    // Other folders now get the repaired copy from the store
+    const copy = path.join(dir, 'copy');
+    await new ArenaDownloader('mixed', copy, { apiBase: arena.apiBase, storeDir }).download();
+    assert.deepEqual(fs.readFileSync(path.join(copy, 'mixed', '101_image-101.png')), original);
+  });
+
+  it('rejects when the channel does not exist', async () => {
+    await assert.rejects(create('does-not-exist', { retries: 0 }).download(), /not found/);
+  });
+
+  it('rejects when a page keeps failing', async () => {
+    await assert.rejects(create('broken-pagination', { retries: 0 }).download(), /Unable to retrieve page 2/);
+  });
+
+  it('sends the access token with API requests', async () => {
+    const result = await create('private', { token: 'secret-token' }).download();
+
+    assert.equal(result.stats.downloaded, 2);
+    const api = arena.requests.filter(r => r.path.startsWith('/v2/'));
+    assert.ok(api.every(r => r.headers.authorization === 'Bearer secret-token'));
+    // Image requests don't go to Are.na, so they don't carry it
+    const files = arena.requests.filter(r => r.path.startsWith('/files/'));
+    assert.ok(files.every(r => r.headers.authorization === undefined));
+  });
+
+  it('saves comments, connections and the channel record with deepMetadata', async () => {
+    await create('mixed', { deepMetadata: true }).download();
+
+    const sidecar = JSON.parse(fs.readFileSync(path.join(dir, 'mixed', '101_image-101.json'), 'utf8'));
+    assert.deepEqual(sidecar.comments.map(c => c.body), ['Love this one', 'Same']);
+    assert.deepEqual(sidecar.connections, []);
+    const channel = JSON.parse(fs.readFileSync(path.join(dir, 'mixed', 'channel.json'), 'utf8'));
+    assert.equal(channel.metadata.description, 'The Mixed channel');
+    assert.equal(channel.contents, undefined);
+  });
+
+  it('downloads nothing in a dry run', async () => {
+    const result = await create('mixed', { dryRun: true }).download();
+
+    assert.equal(result.stats.downloaded, 2);
+    assert.deepEqual(listFiles(dir), []);
+  });
+
+  it('writes no metadata in a dry run', async () => {
+    const result = await create('mixed', { dryRun: true, includeMetadata: true, deepMetadata: true }).download();
+
+    assert.equal(result.stats.downloaded, 2);
+    assert.equal(result.stats.failed, 0);
+    assert.deepEqual(listFiles(dir), []);
+  });
+});
@@ -0,0 +1,170 @@
+// Channels served by the fake Are.na server. `baseUrl` is where the server
+// listens, so image and attachment URLs point back at it.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const USERS = {
+  jane: { id: 1, slug: 'jane-doe', username: 'Jane Doe', full_name: 'Jane Doe' },
+  sam: { id: 2, slug: 'sam-lee', username: 'Sam Lee', full_name: 'Sam Lee' }
+};
+
+// Block n was added n days after the start of 2024
+function dates(id) {
+  const date = new Date(Date.UTC(2024, 0, 1) + (id % 1000) * DAY).toISOString();
+  return { created_at: date, updated_at: date, connected_at: date };
+}
+
+function imageVersions(url) {
+  return {
+    original: { url },
+    large: { url: `${url}?size=large` },
+    display: { url: `${url}?size=display` },
+    square: { url: `${url}?size=square` },
+    thumb: { url: `${url}?size=thumb` }
+  };
+}
+
+function image(baseUrl, id, overrides = {}) {
+  return {
+    id,
+    class: 'Image',
+    title: `Image ${id}`,
+    description: `Description of image ${id}`,
+    comment_count: 0,
+    user: USERS.jane,
+    image: { content_type: 'image/png', filename: `${id}.png`, ...imageVersions(`${baseUrl}/files/${id}.png`) },
+    source: null,
+    ...dates(id),
+    ...overrides
+  };
+}
+
+function channelInfo(slug, title, length, overrides = {}) {
+  return {
+    id: slug.length,
+    slug,
+    title,
+    length,
+    status: 'public',
+    user: USERS.jane,
+    metadata: { description: `The ${title} channel` },
+    collaborators: [],
+    ...dates(0),
+    ...overrides
+  };
+}
+
+function mixedBlocks(baseUrl) {
+  return [
+    image(baseUrl, 101, { comment_count: 2 }),
+    {
+      id: 102,
+      class: 'Link',
+      title: 'A linked page',
+      comment_count: 0,
+      user: USERS.jane,
+      source: { title: 'Example', url: `${baseUrl}/pages/article.html` },
+      image: { content_type: 'image/png', filename: '102.png', ...imageVersions(`${baseUrl}/files/102.png`) },
+      ...dates(102)
+    },
+    {
+      id: 103,
+      class: 'Text',
+      title: 'A note',
+      content: 'Plain *markdown* text',
+      comment_count: 0,
+      user: USERS.jane,
+      ...dates(103)
+    },
+    {
+      id: 104,
+      class: 'Attachment',
+      title: 'Paper',
+      comment_count: 0,
+      user: USERS.sam,
+      attachment: { url: `${baseUrl}/files/104.pdf`, file_name: 'paper.pdf', content_type: 'application/pdf' },
+      ...dates(104)
+    },
+    {
+      id: 105,
+      class: 'Media',
+      title: 'A video',
+      comment_count: 0,
+      user: USERS.jane,
+      source: { title: 'Video', url: 'https://video.example/watch?v=1' },
+      embed: { type: 'video', html: '<iframe src="https://video.example/embed/1"></iframe>', url: 'https://video.example/watch?v=1' },
+      image: { content_type: 'image/jpeg', filename: '105.jpg', ...imageVersions(`${baseUrl}/files/105.jpg`) },
+      ...dates(105)
+    },
+    { id: 106, class: 'Channel', slug: 'nested-child', title: 'Nested child', user: USERS.jane, ...dates(106) },
+    image(baseUrl, 107, { user: USERS.sam, title: 'Sunset by Sam', ...dates(7) })
+  ];
+}
+
+/**
+ * Every channel keyed by slug. Besides `info` and `blocks`, a channel can
+ * set `pageErrors` ({ page: { status, times } }) to fail page requests,
+ * and `token` to require an access token.
+ */
+function buildChannels(baseUrl) {
+  const mixed = mixedBlocks(baseUrl);
+  const large = Array.from({ length: 520 }, (_, i) => image(baseUrl, 1000 + i));
+  const nested = [image(baseUrl, 201), image(baseUrl, 202)];
+  const flaky = [
+    image(baseUrl, 301),
+    image(baseUrl, 302, { image: { content_type: 'image/png', ...imageVersions(`${baseUrl}/files/empty.png`) } }),
+    image(baseUrl, 303, { image: { content_type: 'image/png', ...imageVersions(`${baseUrl}/files/missing.png`) } }),
+    image(baseUrl, 304, { image: { content_type: 'image/png', ...imageVersions(`${baseUrl}/files/rate-limited.png`) } })
+  ];
+  const compressed = [
+    image(baseUrl, 901, { image: { content_type: 'image/svg+xml', filename: '901.svg', ...imageVersions(`${baseUrl}/files/compressed.svg`) } })
+  ];
+  const paged = Array.from({ length: 250 }, (_, i) => image(baseUrl, 400 + i));
+  const truncated = Array.from({ length: 120 }, (_, i) => image(baseUrl, 700 + i));
+
+  return {
+    mixed: { info: channelInfo('mixed', 'Mixed', mixed.length), blocks: mixed },
+    'nested-child': { info: channelInfo('nested-child', 'Nested child', nested.length), blocks: nested },
+    large: { info: channelInfo('large', 'Large', large.length), blocks: large },
+    flaky: { info: channelInfo('flaky', 'Flaky', flaky.length), blocks: flaky },
+    // Its image is served gzipped
+    compressed: { info: channelInfo('compressed', 'Compressed', compressed.length), blocks: compressed },
+    // The first request for page 1 is rate limited
+    'rate-limited': {
+      info: channelInfo('rate-limited', 'Rate limited', nested.length),
+      blocks: nested,
+      pageErrors: { 1: { status: 429, times: 1 } }
+    },
+    // Page 2 never loads
+    'broken-pagination': {
+      info: channelInfo('broken-pagination', 'Broken pagination', paged.length),
+      blocks: paged,
+      pageErrors: { 2: { status: 500, times: Infinity } }
+    },
+    // Claims 250 blocks but pages run out after 120
+    'truncated-pagination': {
+      info: channelInfo('truncated-pagination', 'Truncated pagination', 250),
+      blocks: truncated
+    },
+    private: {
+      info: channelInfo('private', 'Private', nested.length, { status: 'private' }),
+      blocks: nested,
+      token: 'secret-token'
+    }
+  };
+}
+
+// Comments by block id, for --deep-metadata
+const COMMENTS = {
+  101: [
+    { id: 1, body: 'Love this one', user: USERS.sam, ...dates(110) },
+    { id: 2, body: 'Same', user: USERS.jane, ...dates(111) }
+  ]
+};
+
+// Channels on each user's profile
+const PROFILES = {
+  'jane-doe': ['mixed', 'nested-child', 'does-not-exist']
+};
+
+module.exports = { buildChannels, COMMENTS, PROFILES, USERS };
@@ -0,0 +1,144 @@
+const http = require('http');
+const zlib = require('zlib');
+const { buildChannels, COMMENTS, PROFILES } = require('./fixtures');
+
+// 1×1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0xff, 0xd9]);
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+const SVG = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">${
+  Array.from({ length: 50 }, (_, i) => `<circle cx="${i * 2}" cy="50" r="${i}" fill="none" stroke="black"/>`).join('')
+}</svg>`);
+const PAGE = '<!doctype html><html><head><title>Article</title></head><body><h1>Article</h1></body></html>';
+
+const CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', pdf: 'application/pdf', svg: 'image/svg+xml' };
+
+/**
+ * A stand-in for the Are.na API and CDN, serving the channels in
+ * fixtures.js. Every request is recorded in `requests`, and `reset()`
+ * clears them along with the counters behind one-off failures and any
+ * edits to `channels`.
+ */
+class FakeArena {
+  constructor() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.requests = [];
+    this.hits = new Map();
+  }
+
+  async start(port = 0) {
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    this.apiBase = `${this.url}/v2`;
+    this.channels = buildChannels(this.url);
+    return this;
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  reset() {
+    this.requests = [];
+    this.hits.clear();
+    // Tests may edit channels to simulate changes on Are.na
+    this.channels = buildChannels(this.url);
+  }
+
+  // How many times this path has been requested, including now
+  hit(key) {
+    const count = (this.hits.get(key) || 0) + 1;
+    this.hits.set(key, count);
+    return count;
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, this.url);
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+    const json = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+    const send = (status, body, type) => {
+      res.writeHead(status, { 'Content-Type': type, 'Content-Length': body.length });
+      res.end(body);
+    };
+
+    let match = url.pathname.match(/^\/v2\/channels\/([^/]+)\/(thumb|contents)$/);
+    if (match) {
+      const channel = this.channels[match[1]];
+      if (!channel) return json(404, { code: 404, message: 'Not Found' });
+      if (channel.token && req.headers.authorization !== `Bearer ${channel.token}`) {
+        return json(401, { code: 401, message: 'Unauthorized' });
+      }
+      if (match[2] === 'thumb') return json(200, { ...channel.info, contents: channel.blocks.slice(0, 3) });
+
+      const page = Number(url.searchParams.get('page')) || 1;
+      const per = Number(url.searchParams.get('per')) || 25;
+      const failure = channel.pageErrors && channel.pageErrors[page];
+      if (failure && this.hit(`${url.pathname}#${page}`) <= failure.times) {
+        return json(failure.status, { code: failure.status, message: 'Page failed' }, failure.status === 429 ? { 'Retry-After': '0' } : {});
+      }
+      return json(200, {
+        contents: channel.blocks.slice((page - 1) * per, page * per),
+        length: channel.info.length,
+        current_page: page,
+        per,
+        total_pages: Math.ceil(channel.info.length / per)
+      });
+    }
+
+    match = url.pathname.match(/^\/v2\/blocks\/(\d+)\/(comments|channels)$/);
+    if (match) {
+      const id = Number(match[1]);
+      if (match[2] === 'comments') return json(200, { comments: COMMENTS[id] || [], length: (COMMENTS[id] || []).length });
+      const channels = Object.values(this.channels)
+        .filter(channel => channel.blocks.some(block => block.id === id))
+        .map(channel => channel.info);
+      return json(200, { channels, length: channels.length });
+    }
+
+    match = url.pathname.match(/^\/v2\/(users|groups)\/([^/]+)\/channels$/);
+    if (match) {
+      const slugs = PROFILES[match[2]];
+      if (!slugs) return json(404, { code: 404, message: 'Not Found' });
+      const channels = slugs.map(slug => (this.channels[slug] ? this.channels[slug].info : { slug, title: slug }));
+      return json(200, { channels, length: channels.length, total_pages: 1 });
+    }
+
+    match = url.pathname.match(/^\/files\/([^/]+)\.(\w+)$/);
+    if (match) {
+      const [, name, ext] = match;
+      if (name === 'missing') return send(404, Buffer.from('Not Found'), 'text/plain');
+      if (name === 'empty') return send(200, Buffer.alloc(0), CONTENT_TYPES[ext]);
+      if (name === 'rate-limited' && this.hit(url.pathname) === 1) {
+        res.writeHead(429, { 'Retry-After': '0' });
+        return res.end();
+      }
+      // Gzipped like a CDN would, with Content-Length counting the compressed bytes
+      if (name === 'compressed') {
+        const body = zlib.gzipSync(SVG);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES.svg, 'Content-Encoding': 'gzip', 'Content-Length': body.length });
+        return res.end(body);
+      }
+      const body = { png: PNG, jpg: JPEG, pdf: PDF, svg: SVG }[ext];
+      return body ? send(200, body, CONTENT_TYPES[ext]) : send(404, Buffer.from('Not Found'), 'text/plain');
+    }
+
+    if (url.pathname === '/pages/article.html') {
+      return send(200, Buffer.from(PAGE), 'text/html; charset=utf-8');
+    }
+
+    json(404, { code: 404, message: 'Not Found' });
+  }
+}
+
+// `node test/fake-arena/server.js [port]` runs it on its own, for trying the CLI offline
+if (require.main === module) {
+  new FakeArena().start(Number(process.argv[2]) || 4000).then(arena => {
+    console.log(`Fake Are.na listening, use --api-base ${arena.apiBase}`);
+  });
+}
+
+module.exports = { FakeArena, SVG };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'arena-dl-test-'));
+}
+
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Files in a folder, without arena-dl's state
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(name => name !== '.arena-dl').sort();
+}
+
+// HOME points at an empty folder so a real ~/.arena-dlrc can't change the results
+function cliOptions({ apiBase, home, env = {} }) {
+  return {
+    cwd: home,
+    env: { ...process.env, HOME: home, ARENA_API_BASE: apiBase, ARENA_TOKEN: '', FORCE_COLOR: '0', ...env }
+  };
+}
+
+// Run cli.js against the fake server
+function runCli(args, options) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { ...cliOptions(options), timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Run cli.js until `done(stdout)` returns true, for commands like --watch
+ * that don't exit on their own. Stopped after 60 seconds regardless.
+ */
+function runCliUntil(args, options, done) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [CLI, ...args], cliOptions(options));
+    const timer = setTimeout(() => child.kill(), 60000);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (done(stdout)) child.kill();
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('close', () => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+// The lines of --json output, parsed
+function parseEvents(stdout) {
+  return stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+module.exports = { makeTempDir, removeDir, listFiles, runCli, runCliUntil, parseEvents };
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { packageChannel } = require('..');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// Reads every entry of a zip through its central directory
+function readZip(file) {
+  const zip = fs.readFileSync(file);
+  const end = zip.length - 22;
+  const entries = {};
+  let at = zip.readUInt32LE(end + 16);
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+    const nameLength = zip.readUInt16LE(at + 28);
+    const name = zip.toString('utf8', at + 46, at + 46 + nameLength);
+    const method = zip.readUInt16LE(at + 10);
+    const local = zip.readUInt32LE(at + 42);
+    const start = local + 30 + zip.readUInt16LE(local + 26);
+    const data = zip.subarray(start, start + zip.readUInt32LE(at + 20));
+    entries[name] = { method, data: method === 8 ? zlib.inflateRawSync(data) : data };
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('packageChannel', () => {
+  let dir;
+  let channelDir;
+  const info = { title: 'Mixed', length: 1 };
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    channelDir = path.join(dir, 'mixed');
+    fs.mkdirSync(channelDir);
+    fs.writeFileSync(path.join(channelDir, '101_image-101.png'), 'image');
+  });
+
+  afterEach(() => removeDir(dir));
+
+  it('writes a tarball next to the channel', async () => {
+    const result = await packageChannel(channelDir, { format: 'tar', slug: 'mixed', info, outputDir: dir });
+
+    assert.equal(result.path, path.join(dir, 'mixed-bag.tar.gz'));
+    assert.equal(result.files, 1);
+    assert.ok(fs.statSync(result.path).size > 0);
+  });
+
+  it('writes a zip, compressing only what shrinks', async () => {
+    const photo = crypto.randomBytes(100000);
+    const note = 'A note\n'.repeat(1000);
+    fs.writeFileSync(path.join(channelDir, '102_photo.jpg'), photo);
+    fs.writeFileSync(path.join(channelDir, '103_note.md'), note);
+
+    const result = await packageChannel(channelDir, { format: 'zip', slug: 'mixed', info, outputDir: dir });
+
+    const entries = readZip(result.path);
+    assert.equal(entries['mixed-bag/data/101_image-101.png'].data.toString(), 'image');
+    assert.equal(entries['mixed-bag/data/102_photo.jpg'].method, 0);
+    assert.deepEqual(entries['mixed-bag/data/102_photo.jpg'].data, photo);
+    assert.equal(entries['mixed-bag/data/103_note.md'].method, 8);
+    assert.equal(entries['mixed-bag/data/103_note.md'].data.toString(), note);
+    assert.equal(fs.existsSync(`${result.path}.part`), false);
+  });
+
+  it('rejects when the tarball cannot be written', async () => {
+    const outputDir = path.join(dir, 'missing');
+
+    await assert.rejects(
+      packageChannel(channelDir, { format: 'tar', slug: 'mixed', info, outputDir }),
+      { code: 'ENOENT' }
+    );
+    assert.equal(fs.existsSync(outputDir), false);
+  });
+});